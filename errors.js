@@ -0,0 +1,90 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * Base class for every error thrown by w3c-validate-css
+ * @param {string} message - error message
+ * @param {string} code - stable error code to match on
+ * @param {object} [props] - extra properties copied onto the error
+ * @returns {void}
+ */
+function W3cValidateCssError(message, code, props) {
+    Error.call(this, message);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = message;
+    this.code = code || 'EW3CVALIDATECSS';
+
+    var k;
+    for (k in (props || {})) {
+        if (Object.prototype.hasOwnProperty.call(props, k)) {
+            this[k] = props[k];
+        }
+    }
+}
+util.inherits(W3cValidateCssError, Error);
+
+/**
+ * Java is not installed or not on PATH
+ * @param {string} [message] - error message
+ * @returns {void}
+ */
+function JavaNotFoundError(message) {
+    W3cValidateCssError.call(this, message || 'java not found', 'EJAVANOTFOUND');
+}
+util.inherits(JavaNotFoundError, W3cValidateCssError);
+
+/**
+ * The validator jar could not be downloaded or failed verification
+ * @param {string} message - error message
+ * @param {{urls:string[],cause:Error}} [props] - urls tried and the last underlying error
+ * @returns {void}
+ */
+function JarDownloadError(message, props) {
+    W3cValidateCssError.call(this, message, 'EJARDOWNLOAD', props);
+}
+util.inherits(JarDownloadError, W3cValidateCssError);
+
+/**
+ * The validator ran but its output could not be read
+ * @param {string} message - error message
+ * @param {{file:string,stdout:string,stderr:string,exitCode:number}} [props] - process output
+ * @returns {void}
+ */
+function ValidatorOutputError(message, props) {
+    W3cValidateCssError.call(this, message, 'EVALIDATOROUTPUT', props);
+}
+util.inherits(ValidatorOutputError, W3cValidateCssError);
+
+/**
+ * The validator was killed for running longer than the timeout
+ * @param {string} message - error message
+ * @param {{file:string,timeout:number}} [props] - file and timeout in ms
+ * @returns {void}
+ */
+function ValidatorTimeoutError(message, props) {
+    W3cValidateCssError.call(this, message, 'EVALIDATORTIMEOUT', props);
+}
+util.inherits(ValidatorTimeoutError, W3cValidateCssError);
+
+/**
+ * A stylesheet or page given as a url could not be fetched
+ * @param {string} message - error message
+ * @param {{url:string,status:number,cause:Error}} [props] - url, http status or the underlying error
+ * @returns {void}
+ */
+function TargetFetchError(message, props) {
+    W3cValidateCssError.call(this, message, 'ETARGETFETCH', props);
+}
+util.inherits(TargetFetchError, W3cValidateCssError);
+
+module.exports = {
+    W3cValidateCssError: W3cValidateCssError,
+    JavaNotFoundError: JavaNotFoundError,
+    JarDownloadError: JarDownloadError,
+    ValidatorOutputError: ValidatorOutputError,
+    ValidatorTimeoutError: ValidatorTimeoutError,
+    TargetFetchError: TargetFetchError
+};
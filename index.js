@@ -2,6 +2,7 @@
 'use strict';
 
 var fs = require('fs');
+var crypto = require('crypto');
 var fsp = fs.promises;
 var path = require('path');
 var url = require('url');
@@ -11,29 +12,130 @@ var child = require('child_process');
 var chalk = require('chalk');
 var glob = require('glob');
 var minimist = require('minimist');
+var minimatch = require('minimatch');
+var SourceMapConsumer = require('source-map-js').SourceMapConsumer;
+var EventEmitter = require('events').EventEmitter;
+var reporters = require('./reporters');
+var errors = require('./errors');
 
-/* single, deterministic cache path in os temp */
+/* default cache path in os temp, override with --cache-dir or W3C_VALIDATE_CSS_CACHE_DIR */
 var CACHE_DIR = path.join(os.tmpdir(), 'w3c-validate-css');
-var CACHED_JAR = path.join(CACHE_DIR, 'css-validator.jar');
 var CURRENT_JAR_PATH = null;
+var CURRENT_JAVA = 'java';
+
+/* oldest java the validator jar runs on */
+var MIN_JAVA_VERSION = 8;
+
+/* java versions by binary, so discovery runs once per process */
+var JAVA_VERSIONS = {};
+
+/* resolved jars and their sha256, keyed by how they were asked for / by path */
+var RESOLVED_JARS = {};
+var JAR_HASHES = {};
+
+/* bump when the cached result shape changes */
+var RESULTS_CACHE_VERSION = 4;
+
+/* max file uris handed to a single jvm in batch mode */
+var BATCH_SIZE = 50;
+
+/* config files searched from the target upwards, first match wins per folder */
+var CONFIG_FILES = ['.w3cvalidatecssrc.json', 'w3c-validate-css.config.js', 'package.json'];
+var PACKAGE_CONFIG_KEY = 'w3c-validate-css';
+
+/* project-wide ignore file, read from cwd, and folders folder/glob targets never walk into */
+var IGNORE_FILE = '.w3cvalidatecssignore';
+var DEFAULT_IGNORE = ['**/node_modules/**'];
+
+/* inline suppression comments, e.g. w3c-validate-css-disable-next-line pointer-events */
+var DIRECTIVE_RE = /^\s*w3c-validate-css-(disable-next-line|disable|enable)(?:\s+([\s\S]*?))?\s*$/;
+
+/* stable rule ids, matched on the jar's type first and its (english) message second */
+var RULES = [
+    { id: 'deprecated', type: /deprecat/, msg: /deprecated/i },
+    { id: 'vendor-extension', type: /vendor/, msg: /vendor extension/i },
+    { id: 'unknown-pseudo', type: /pseudo/, msg: /pseudo-(element|class)/i },
+    { id: 'unknown-property', type: /^noexistence(-at-all)?$/, msg: /Property\s+\S+\s+doesn'?t\s+exist/i },
+    { id: 'invalid-value', type: /value/, msg: /Value Error|is not a\b.*\bvalue/i },
+    { id: 'parse-error', type: /parse|unrecogni[sz]ed?/, msg: /Parse Error/i }
+];
+
+/* code frames: lines of context either side, and the widest slice of a (minified) line shown */
+var FRAME_CONTEXT = 2;
+var FRAME_WIDTH = 80;
+
+/* modern syntax the jar can't parse yet: at-rules whose rules are still validated, at-rules skipped whole, selector functions stubbed */
+var MODERN_UNWRAP = ['layer', 'container', 'scope', 'starting-style'];
+var MODERN_DROP = ['property'];
+var MODERN_SELECTORS = ['has', 'where', 'is'];
+var MODERN_FEATURES = MODERN_UNWRAP.concat(MODERN_DROP, MODERN_SELECTORS, ['nesting']);
+
+/* process exit codes: the css failed, the tool or its environment failed, the command line was wrong */
+var EXIT_CODES = { ok: 0, invalid: 1, error: 2, usage: 3 };
+var USAGE_ERRORS = ['EUSAGE', 'ECONFIG', 'ETARGET'];
+var FAIL_ON = ['error', 'warning', 'never'];
+
+/* severities accepted in the rules map */
+var RULE_SEVERITIES = { off: 'off', 0: 'off', warn: 'warn', warning: 'warn', 1: 'warn', error: 'error', 2: 'error' };
 
 var JAR_URLS = [
     'https://github.com/w3c/css-validator/releases/latest/download/css-validator.jar',
     'https://jigsaw.w3.org/css-validator/DOWNLOAD/css-validator.jar'
 ];
 
+/* pinned versions are github release tags */
+var JAR_RELEASE_URL = 'https://github.com/w3c/css-validator/releases/download/{version}/css-validator.jar';
+
+/**
+ * Java binary to run: cfg.java, then $JAVA_HOME/bin/java, then java on PATH
+ * @param {object} [cfg] - validator config
+ * @returns {string} - returns java executable
+ */
+function javaPathFor(cfg) {
+    if (cfg && cfg.java) {
+        return path.resolve(String(cfg.java));
+    }
+
+    if (process.env.JAVA_HOME) {
+        var bin = path.join(process.env.JAVA_HOME, 'bin', process.platform === 'win32' ? 'java.exe' : 'java');
+        if (fs.existsSync(bin)) {
+            return bin;
+        }
+    }
+
+    return 'java';
+}
+
 /**
- * Ensure Java exists
- * @returns {Promise<boolean>} - resolves true if java is available
+ * Read the major version of a java binary from `java -version`
+ * @param {string} bin - java executable
+ * @returns {Promise<number|null>} - resolves with the major version (8 for 1.8), or null when java does not run
  */
-async function hasJava() {
+async function javaVersion(bin) {
     return new Promise(function (resolve) {
-        var p = child.spawn('java', ['-version']);
-        var sawOutput = false;
+        var p;
+        var out = '';
+
+        try {
+            p = child.spawn(bin, ['-version']);
+        } catch (e) {
+            resolve(null);
+            return;
+        }
+
+        p.on('error', function () { resolve(null); });
+        p.stdout.on('data', function (d) { out += String(d || ''); });
+        p.stderr.on('data', function (d) { out += String(d || ''); });
+        p.on('close', function (code) {
+            var m = out.match(/version\s+"?(\d+)(?:\.(\d+))?/i);
+
+            if (code !== 0 || !m) {
+                resolve(null);
+                return;
+            }
 
-        p.on('error', function () { resolve(false); });
-        p.stderr.on('data', function () { sawOutput = true; });
-        p.on('close', function (code) { resolve(code === 0 || sawOutput); });
+            resolve(m[1] === '1' ? parseInt(m[2], 10) : parseInt(m[1], 10));
+        });
     });
 }
 
@@ -65,479 +167,3859 @@ async function isJar(file) {
 }
 
 /**
- * Download file with redirects
+ * Hash a file
+ * @param {string} file - file path
+ * @returns {Promise<string>} - resolves lowercase sha256 hex
+ */
+function sha256File(file) {
+    return new Promise(function (resolve, reject) {
+        var hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', function (d) { hash.update(d); })
+            .on('end', function () { resolve(hash.digest('hex')); });
+    });
+}
+
+/**
+ * Download file with redirects (written to a private temp file, then renamed into place)
  * @param {string} href - url to download
  * @param {string} dest - destination file path
+ * @param {string} [sha256] - expected sha256, checked before the file is moved into place
  * @returns {Promise<void>} - resolves when file saved to disk
  */
-async function download(href, dest) {
+async function download(href, dest, sha256) {
     var res = await fetch(href, { headers: { 'User-Agent': 'curl/8 (+node)' }, redirect: 'follow' });
 
     if (!res.ok) {
-        throw new Error('download failed ' + res.status);
+        throw new errors.JarDownloadError('download failed ' + res.status + ' ' + href);
     }
 
-    var tmp = dest + '.part';
+    // unique per process so concurrent downloads never write the same file
+    var tmp = dest + '.' + process.pid + '.' + crypto.randomBytes(4).toString('hex') + '.part';
 
-    await new Promise(function (resolve, reject) {
-        var out = fs.createWriteStream(tmp);
-        res.body.pipe(out);
-        res.body.on('error', reject);
-        out.on('finish', resolve);
-    });
+    try {
+        await new Promise(function (resolve, reject) {
+            var out = fs.createWriteStream(tmp);
+            res.body.pipe(out);
+            res.body.on('error', reject);
+            out.on('error', reject);
+            out.on('finish', resolve);
+        });
+
+        if (!(await isJar(tmp))) {
+            throw new errors.JarDownloadError('download is not a jar ' + href);
+        }
+
+        if (sha256) {
+            var actual = await sha256File(tmp);
+            if (actual !== String(sha256).toLowerCase()) {
+                throw new errors.JarDownloadError('checksum mismatch for ' + href + ' expected ' + sha256 + ' got ' + actual);
+            }
+        }
+
+        // rename is atomic, readers see the old jar or the new one, never a partial file
+        fs.renameSync(tmp, dest);
+    } catch (e) {
+        try { fs.unlinkSync(tmp); } catch (e2) { }
+        throw e;
+    }
+}
+
+/**
+ * Cache folder for jars and results
+ * @param {object} [cfg] - validator config (cfg.cacheDir)
+ * @returns {string} - returns absolute folder path
+ */
+function cacheDirFor(cfg) {
+    return path.resolve((cfg && cfg.cacheDir) || process.env.W3C_VALIDATE_CSS_CACHE_DIR || CACHE_DIR);
+}
+
+/**
+ * Validator version to use
+ * @param {object} [cfg] - validator config (cfg.validatorVersion)
+ * @returns {string} - returns release tag or 'latest'
+ */
+function validatorVersionFor(cfg) {
+    return String((cfg && cfg.validatorVersion) || process.env.W3C_CSS_VALIDATOR_VERSION || 'latest');
+}
 
-    fs.renameSync(tmp, dest);
+/**
+ * Cached jar path for a version
+ * @param {object} [cfg] - validator config
+ * @returns {string} - returns absolute jar path inside the cache folder
+ */
+function cachedJarPath(cfg) {
+    var version = validatorVersionFor(cfg);
+    var name = (version === 'latest') ? 'css-validator.jar' : 'css-validator-' + version.replace(/[^a-z0-9._-]/gi, '_') + '.jar';
+    return path.join(cacheDirFor(cfg), name);
 }
 
 /**
- * Resolve or download validator JAR into os temp
+ * Resolve a local jar, or download the validator JAR into the cache
+ * @param {object} [cfg] - validator config (cfg.jar, cfg.validatorVersion, cfg.jarSha256, cfg.cacheDir)
  * @returns {Promise<string>} - returns absolute path to usable jar
  */
-async function resolveJarPath() {
-    if (fs.existsSync(CACHED_JAR) && await isJar(CACHED_JAR)) {
-        return CACHED_JAR;
+async function resolveJarPath(cfg) {
+    var local = (cfg && cfg.jar) || process.env.W3C_CSS_VALIDATOR_JAR;
+    var sha256 = (cfg && cfg.jarSha256) || process.env.W3C_CSS_VALIDATOR_SHA256;
+
+    if (local) {
+        var abs = path.resolve(local);
+
+        if (!(await isJar(abs))) {
+            throw new errors.W3cValidateCssError('not a usable jar ' + local, 'EJARINVALID');
+        }
+
+        if (sha256 && (await sha256File(abs)) !== String(sha256).toLowerCase()) {
+            throw new errors.W3cValidateCssError('checksum mismatch for ' + local, 'EJARCHECKSUM');
+        }
+
+        return abs;
+    }
+
+    var jar = cachedJarPath(cfg);
+    var version = validatorVersionFor(cfg);
+
+    if (fs.existsSync(jar) && await isJar(jar) && (!sha256 || (await sha256File(jar)) === String(sha256).toLowerCase())) {
+        return jar;
     }
 
-    ensureDir(CACHE_DIR);
-    try { fs.unlinkSync(CACHED_JAR); } catch (e) { }
+    ensureDir(path.dirname(jar));
 
-    for (var i = 0; i < JAR_URLS.length; i++) {
+    var urls = (version === 'latest') ? JAR_URLS : [JAR_RELEASE_URL.replace('{version}', encodeURIComponent(version))];
+    var lastError = null;
+
+    for (var i = 0; i < urls.length; i++) {
         try {
-            await download(JAR_URLS[i], CACHED_JAR);
-            if (await isJar(CACHED_JAR)) {
-                return CACHED_JAR;
-            }
+            await download(urls[i], jar, sha256);
+            return jar;
         } catch (e) {
-            try { fs.unlinkSync(CACHED_JAR); } catch (e2) { }
+            lastError = e;
         }
     }
 
-    throw new Error('failed to obtain css-validator.jar');
+    throw new errors.JarDownloadError('failed to obtain css-validator.jar' + (version !== 'latest' ? ' ' + version : '') + (lastError ? ' (' + lastError.message + ')' : ''), {
+        urls: urls,
+        cause: lastError
+    });
 }
 
 /**
- * Expand a path to css files
- * @param {string} target - file or folder to scan
- * @returns {Promise<string[]>} - resolves array of absolute css file paths
+ * Describe the cache folder
+ * @param {object} [cfg] - validator config
+ * @returns {Promise<{dir:string,jars:Array<{file:string,size:number,sha256:string,modified:Date}>,results:{count:number,size:number}}>} - resolves cache contents
  */
-async function expandFiles(target) {
-    var abs = path.resolve(target);
+async function cacheInfo(cfg) {
+    var dir = cacheDirFor(cfg);
+    var out = { dir: dir, jars: [], results: { count: 0, size: 0 } };
+    var names = [];
+
+    try { names = fs.readdirSync(dir); } catch (e) { return out; }
+
+    for (var i = 0; i < names.length; i++) {
+        var file = path.join(dir, names[i]);
+        if (/\.jar$/i.test(names[i])) {
+            var st = fs.statSync(file);
+            out.jars.push({ file: file, size: st.size, sha256: await sha256File(file), modified: st.mtime });
+        }
+    }
 
-    var st;
     try {
-        st = await fsp.stat(abs);
-    } catch (e) {
-        var msg = (e && e.code === 'ENOENT') ? ('path not found ' + target) : (e && e.message ? e.message : String(e));
-        throw new Error(msg);
-    }
+        fs.readdirSync(path.join(dir, 'results')).forEach(function (name) {
+            out.results.count++;
+            out.results.size += fs.statSync(path.join(dir, 'results', name)).size;
+        });
+    } catch (e) { }
+
+    return out;
+}
+
+/**
+ * Remove cached jars and results
+ * @param {object} [cfg] - validator config
+ * @returns {Promise<string>} - resolves the folder that was cleared
+ */
+async function clearCache(cfg) {
+    var dir = cacheDirFor(cfg);
+
+    if (fs.existsSync(dir)) {
+        fs.readdirSync(dir).forEach(function (name) {
+            var file = path.join(dir, name);
+            if (/\.jar$/i.test(name) || /\.part$/i.test(name)) {
+                try { fs.unlinkSync(file); } catch (e) { }
+            }
+        });
 
-    if (st.isFile()) {
-        if (!/\.css$/i.test(abs)) {
-            throw new Error('not a css file ' + target);
+        var results = path.join(dir, 'results');
+        if (fs.existsSync(results)) {
+            fs.readdirSync(results).forEach(function (name) {
+                try { fs.unlinkSync(path.join(results, name)); } catch (e) { }
+            });
+            try { fs.rmdirSync(results); } catch (e) { }
         }
-        return [abs];
     }
 
-    return new Promise(function (resolve, reject) {
-        glob('**/*.css', { cwd: abs, nodir: true }, function (err, matches) {
-            if (err) {
-                reject(err);
-                return;
-            }
+    Object.keys(RESOLVED_JARS).forEach(function (k) { delete RESOLVED_JARS[k]; });
 
-            var out = [];
-            for (var i = 0; i < matches.length; i++) {
-                out.push(path.join(abs, matches[i]));
-            }
-            resolve(out);
-        });
-    });
+    return dir;
 }
 
 /**
- * Build JAR args
- * @param {string} file - absolute file path
- * @param {object} cfg - validator config
- * @returns {string[]} - returns array of args for java spawn
+ * Download the validator jar ahead of time (e.g. while building a CI image)
+ * @param {object} [cfg] - validator config
+ * @returns {Promise<{file:string,sha256:string}>} - resolves jar path and checksum
  */
-function buildArgs(file, cfg) {
-    var fileUri = url.pathToFileURL(file).href;
+async function prefetchJar(cfg) {
+    var file = await resolveJarPath(cfg);
+    return { file: file, sha256: await sha256File(file) };
+}
 
-    var args = [
-        '-Djava.net.useSystemProxies=false',
-        '-Dhttp.proxyHost=', '-Dhttp.proxyPort=',
-        '-Dhttps.proxyHost=', '-Dhttps.proxyPort=',
-        '-jar', CURRENT_JAR_PATH,
-        '-output', 'json',
-        '-warning', String(cfg.warningLevel || 0),
-        '-profile', String(cfg.profile || 'css3'),
-        '-lang', 'en',
-        '-usermedium', 'all',
-        fileUri
-    ];
+/**
+ * Normalize config file options to validator config keys
+ * @param {object} raw - options as written in a config file
+ * @returns {object} - returns only the keys that were set
+ */
+function normalizeOptions(raw) {
+    var out = {};
+    raw = raw || {};
+
+    if (raw.profile !== undefined) { out.profile = String(raw.profile); }
+    if (raw.warningLevel !== undefined) { out.warningLevel = parseInt(raw.warningLevel, 10) || 0; }
+    if (raw.warnings !== undefined) { out.warningLevel = parseInt(raw.warnings, 10) || 0; }
+    if (raw.showDeprecations !== undefined) { out.showDeprecations = !!raw.showDeprecations; }
+    if (raw.deprecations !== undefined) { out.showDeprecations = !!raw.deprecations; }
+    if (raw.errorsOnly !== undefined) { out.errorsOnly = !!raw.errorsOnly; }
+    if (raw.tolerate !== undefined) { out.tolerate = toList(raw.tolerate); }
+    if (raw.sourceMaps !== undefined) { out.sourceMaps = !!raw.sourceMaps; }
+    if (raw.reportUnusedDirectives !== undefined) { out.reportUnusedDirectives = !!raw.reportUnusedDirectives; }
+    if (raw.rules !== undefined) { out.rules = normalizeRules(raw.rules); }
+    if (raw.gitignore !== undefined) { out.gitignore = !!raw.gitignore; }
+    if (raw.medium !== undefined) { out.medium = String(raw.medium); }
+    if (raw.lang !== undefined) { out.lang = String(raw.lang); }
+    if (raw.modernSyntax !== undefined) { out.modernSyntax = modernFeatures(raw.modernSyntax); }
+    if (raw.vendorExtensions !== undefined) {
+        if (!/^(warn|warning|error)$/i.test(String(raw.vendorExtensions))) {
+            throw new errors.W3cValidateCssError('invalid vendorExtensions ' + raw.vendorExtensions + ' (use warn or error)', 'ECONFIG');
+        }
+        out.vendorExtensions = String(raw.vendorExtensions).toLowerCase();
+    }
 
-    return args;
+    return out;
 }
 
 /**
- * Run validator once
- * @param {string} file - css file path
- * @param {object} cfg - validator config
- * @returns {Promise<{stdout:string,stderr:string,code:number}>} - resolves process output
+ * Normalize the modernSyntax option
+ * @param {boolean|string|string[]} raw - true for everything, or features such as "layer,container,has"
+ * @returns {string[]} - returns features to shim, empty when off
  */
-async function runOne(file, cfg) {
-    return new Promise(function (resolve) {
-        var env = {};
-        var k;
+function modernFeatures(raw) {
+    if (raw === true) { return MODERN_FEATURES.slice(); }
+    if (!raw) { return []; }
 
-        for (k in process.env) {
-            if (Object.prototype.hasOwnProperty.call(process.env, k)) {
-                env[k] = process.env[k];
-            }
+    var list = toList(raw).map(function (f) { return String(f).replace(/^[@:]/, '').toLowerCase(); });
+
+    list.forEach(function (f) {
+        if (MODERN_FEATURES.indexOf(f) === -1) {
+            throw new errors.W3cValidateCssError('invalid modernSyntax feature ' + f + ' (use ' + MODERN_FEATURES.join(', ') + ')', 'ECONFIG');
         }
+    });
 
-        env.http_proxy = '';
-        env.https_proxy = '';
-        env.no_proxy = '';
+    return list;
+}
 
-        var args = buildArgs(file, cfg);
-        var p = child.spawn('java', args, { env: env });
+/**
+ * Normalize a rule severity map
+ * @param {object|string} raw - { "vendor-extension": "off" } or "vendor-extension:off,unknown-pseudo:warn"
+ * @returns {Object<string,string>} - returns rule id to off|warn|error
+ */
+function normalizeRules(raw) {
+    var out = {};
+    var map = raw || {};
+
+    if (typeof map === 'string') {
+        map = {};
+        raw.split(/[,\s]+/).filter(Boolean).forEach(function (pair) {
+            var at = pair.lastIndexOf(':');
+            map[at === -1 ? pair : pair.slice(0, at)] = at === -1 ? 'error' : pair.slice(at + 1);
+        });
+    }
 
-        var out = '';
-        var err = '';
+    Object.keys(map).forEach(function (id) {
+        var severity = RULE_SEVERITIES[String(map[id]).toLowerCase()];
 
-        p.stdout.on('data', function (d) { out += String(d || ''); });
-        p.stderr.on('data', function (d) { err += String(d || ''); });
+        if (!severity) {
+            throw new errors.W3cValidateCssError('invalid severity ' + map[id] + ' for rule ' + id + ' (use off, warn or error)', 'ECONFIG');
+        }
 
-        p.on('close', function (code) { resolve({ stdout: out, stderr: err, code: code || 0 }); });
-        p.on('error', function () { resolve({ stdout: out, stderr: err, code: 1 }); });
+        out[id.toLowerCase()] = severity;
     });
+
+    return out;
 }
 
 /**
- * Normalize a JAR path or file: URL to absolute path
- * @param {string} raw - raw file path or file url from jar
- * @returns {string} - returns absolute normalized path
+ * Read one candidate config file
+ * @param {string} file - absolute path to a candidate config file
+ * @returns {object|null} - returns raw config or null when the file holds none
  */
-function normalizeJarPath(raw) {
-    var s = String(raw || '');
-
-    if (s.slice(0, 5).toLowerCase() === 'file:') {
-        s = s.slice(5);
-    }
+function readConfigFile(file) {
+    var base = path.basename(file);
 
     try {
-        if (s.indexOf('///') === 0 || s.indexOf('//') === 0) {
-            return path.resolve(url.fileURLToPath('file:' + s));
+        // read afresh each time, so a watched config picks up edits
+        if (/\.js$/i.test(base)) {
+            delete require.cache[require.resolve(file)];
+            return require(file);
         }
-    } catch (e) { }
 
-    try {
-        s = decodeURI(s);
-    } catch (e2) { }
+        var json = JSON.parse(fs.readFileSync(file, 'utf8'));
 
-    return path.resolve(s);
+        if (base === 'package.json') {
+            return json[PACKAGE_CONFIG_KEY] || null;
+        }
+
+        return json;
+    } catch (e) {
+        throw new errors.W3cValidateCssError('invalid config ' + file + ' ' + (e && e.message ? e.message : String(e)), 'ECONFIG');
+    }
 }
 
 /**
- * Extract first JSON object from text
- * @param {string} text - raw process output
- * @returns {object|null} - returns parsed json or null
+ * Find the project config for a target, searching from the target upwards
+ * @param {string} target - file or folder being validated
+ * @param {object} cfg - validator config (cfg.config: path to a config file, or false to disable)
+ * @returns {Promise<{file:string,dir:string,options:object,ignore:string[],overrides:Array}|null>} - returns config or null
  */
-function safeParseFirstJson(text) {
-    var s = String(text || '');
-    var first = s.indexOf('{');
-    var last = s.lastIndexOf('}');
-    if (first === -1 || last === -1 || last <= first) {
+async function loadProjectConfig(target, cfg) {
+    var raw = null;
+    var found = null;
+
+    if (cfg && cfg.config === false) {
         return null;
     }
-    var sub = s.slice(first, last + 1);
-    try {
-        return JSON.parse(sub);
-    } catch (e) {
-        return null;
+
+    if (cfg && cfg.config) {
+        found = path.resolve(String(cfg.config));
+        if (!fs.existsSync(found)) {
+            throw new errors.W3cValidateCssError('config not found ' + cfg.config, 'ECONFIG');
+        }
+        raw = readConfigFile(found) || {};
+    }
+    else {
+        // url targets have no folder, look from cwd
+        var dir = reporters.targetBase(targetList(target).filter(function (t) { return !reporters.isUrl(t); })[0]);
+        var i, candidate;
+
+        try {
+            if ((await fsp.stat(dir)).isFile()) { dir = path.dirname(dir); }
+        } catch (e) { /* missing targets are reported by expandFiles */ }
+
+        while (!raw) {
+            for (i = 0; i < CONFIG_FILES.length && !raw; i++) {
+                candidate = path.join(dir, CONFIG_FILES[i]);
+                if (fs.existsSync(candidate)) {
+                    raw = readConfigFile(candidate);
+                    found = candidate;
+                }
+            }
+
+            if (raw || path.dirname(dir) === dir) { break; }
+            dir = path.dirname(dir);
+        }
+
+        if (!raw) {
+            return null;
+        }
     }
+
+    return {
+        file: found,
+        dir: path.dirname(found),
+        options: normalizeOptions(raw),
+        ignore: toGlobList(raw.ignore),
+        overrides: (Array.isArray(raw.overrides) ? raw.overrides : []).map(function (o) {
+            return { files: toGlobList(o && o.files), options: normalizeOptions(o) };
+        })
+    };
 }
 
 /**
- * Clean validator message
- * @param {string} s - raw message
- * @returns {string} - trimmed message without a trailing colon
+ * Normalize a glob or list of globs
+ * @param {string|string[]|undefined} v - raw globs
+ * @returns {string[]} - returns list of globs
  */
-function cleanMessage(s) {
-    var msg = String(s || '').trim();
-    if (msg.slice(-1) === ':') {
-        msg = msg.slice(0, -1).trim();
-    }
-    return msg;
+function toGlobList(v) {
+    if (!v) { return []; }
+    return (Array.isArray(v) ? v : [v]).map(String);
 }
 
 /**
- * Parse comma/space separated list into array
- * @param {string|Array|undefined} v - raw input
- * @returns {Array<string>} - normalized list
+ * Test a file against globs relative to the config folder
+ * @param {string} dir - folder the globs are relative to
+ * @param {string} file - absolute file path
+ * @param {string[]} globs - glob patterns
+ * @returns {boolean} - returns true if any glob matches
  */
-function toList(v) {
-    if (!v) { return []; }
-    if (Array.isArray(v)) { return v; }
-    return String(v).split(/[,\s]+/).filter(Boolean).map(function (s) { return s.toLowerCase(); });
+function matchesGlobs(dir, file, globs) {
+    var rel = path.relative(dir, file).split(path.sep).join('/');
+
+    for (var i = 0; i < globs.length; i++) {
+        if (minimatch(rel, globs[i], { dot: true, matchBase: globs[i].indexOf('/') === -1 })) {
+            return true;
+        }
+    }
+    return false;
 }
 
 /**
- * Try to extract property name from "Property “foo-bar” doesn't exist"
- * @param {string} msg - validator message
- * @returns {string|null} - property name or null
+ * Check if the project config ignores a file
+ * @param {object|null} project - project config
+ * @param {string} file - absolute file path
+ * @returns {boolean} - returns true if the file should be skipped
  */
-function extractPropFromDoesNotExist(msg) {
-    var m = String(msg || '').match(/Property\s+[“"']?([a-z0-9-]+)[”"']?\s+doesn'?t\s+exist/i);
-    return m && m[1] ? m[1].toLowerCase() : null;
+function isIgnoredByConfig(project, file) {
+    return !!project && matchesGlobs(project.dir, file, project.ignore);
 }
 
 /**
- * Parse JSON output from validator
- * @param {object} json - json object from validator
- * @param {string} file - absolute path of the css file
- * @param {boolean} includeWarnings - include warnings in results
- * @param {boolean} includeDeprecations - include deprecation warnings
- * @param {object} cfg - full validator config (for tolerate list)
- * @returns {{errors:Array, warnings:Array}} - returns parsed issues
+ * Resolve the effective config for one file: defaults, then config file, then overrides, then explicit options
+ * @param {object|null} project - project config
+ * @param {string} file - absolute file path
+ * @param {object} cfg - explicit options (cfg.defaults holds values the config file may replace)
+ * @returns {object} - returns validator config for the file
  */
-function parseIssuesFromJson(json, file, includeWarnings, includeDeprecations, cfg) {
-    var errors = [];
-    var warnings = [];
-    var fileAbs = path.resolve(file);
+function configForFile(project, file, cfg) {
+    var out = Object.assign({}, cfg.defaults || {});
+    var rules = Object.assign({}, out.rules);
+
+    // rule maps merge layer by layer instead of replacing each other
+    function apply(options) {
+        Object.assign(out, options);
+        Object.assign(rules, options.rules);
+    }
 
-    var tolerate = (cfg && cfg.tolerate) ? cfg.tolerate : [];
+    if (project) {
+        apply(project.options);
 
-    var root = json && (json.cssvalidation || json.cssValidation || json.validation || json);
-    if (!root) {
-        return { errors: errors, warnings: warnings };
+        project.overrides.forEach(function (o) {
+            if (matchesGlobs(project.dir, file, o.files)) {
+                apply(o.options);
+            }
+        });
     }
 
-    var jErrors = root.errors || root.error || [];
-    var jWarnings = root.warnings || root.warning || [];
+    Object.keys(cfg).forEach(function (k) {
+        if (k !== 'defaults' && cfg[k] !== undefined) {
+            out[k] = cfg[k];
+        }
+    });
 
-    if (!Array.isArray(jErrors)) { jErrors = []; }
-    if (!Array.isArray(jWarnings)) { jWarnings = []; }
+    out.rules = Object.assign(rules, cfg.rules ? normalizeRules(cfg.rules) : {});
 
-    var i, it, msg, line, col, src, type, prop;
+    if (cfg.vendorExtensions !== undefined) {
+        out.vendorExtensions = normalizeOptions({ vendorExtensions: cfg.vendorExtensions }).vendorExtensions;
+    }
 
-    for (i = 0; i < jErrors.length; i++) {
-        it = jErrors[i] || {};
-        msg = cleanMessage(it.message || it.error || it.msg || '');
-        line = parseInt(it.line, 10) || 0;
-        col = parseInt(it.col || it.column, 10) || 0;
-        src = normalizeJarPath(it.source || it.uri || fileAbs);
-
-        if (src === fileAbs) {
-            // downgrade specific "doesn't exist" errors if tolerated
-            prop = extractPropFromDoesNotExist(msg);
-            if (prop && tolerate.indexOf(prop) !== -1) {
-                if (includeWarnings) {
-                    warnings.push({ line: line, col: col, msg: msg });
-                }
-                continue;
-            }
-            errors.push({ line: line, col: col, msg: msg });
-        }
+    if (cfg.modernSyntax !== undefined) {
+        out.modernSyntax = modernFeatures(cfg.modernSyntax);
     }
 
-    if (includeWarnings) {
-        for (i = 0; i < jWarnings.length; i++) {
-            it = jWarnings[i] || {};
-            msg = cleanMessage(it.message || it.warning || it.msg || '');
-            line = parseInt(it.line, 10) || 0;
-            col = parseInt(it.col || it.column, 10) || 0;
-            src = normalizeJarPath(it.source || it.uri || fileAbs);
-            type = String(it.type || it.category || '').toLowerCase();
+    // files this one @imports are judged by their own config, not the importer's
+    out.configFor = function (other) {
+        return configForFile(project, other, cfg);
+    };
 
-            if (!includeDeprecations && type === 'deprecated') {
-                continue;
-            }
+    return out;
+}
 
-            if (src === fileAbs) {
-                warnings.push({ line: line, col: col, msg: msg });
-            }
-        }
-    }
+/**
+ * Check a path looks like a stylesheet
+ * @param {string} file - file path
+ * @returns {boolean} - returns true for .css files
+ */
+function isCssFile(file) {
+    return /\.css$/i.test(file);
+}
 
-    return { errors: errors, warnings: warnings };
+/**
+ * Check a path looks like an html page
+ * @param {string} file - file path
+ * @returns {boolean} - returns true for .html and .htm files
+ */
+function isHtmlFile(file) {
+    return /\.html?$/i.test(file);
+}
+
+/**
+ * Glob used to find files in a folder
+ * @param {object} [cfg] - validator config (cfg.html includes html pages)
+ * @returns {string} - returns glob pattern
+ */
+function filePattern(cfg) {
+    return (cfg && cfg.html) ? '**/*.{css,html,htm}' : '**/*.css';
+}
+
+/**
+ * Local stylesheets a stylesheet @imports
+ * @param {string} file - absolute css file path
+ * @param {string} [source] - css source text, read from file when omitted
+ * @returns {string[]} - returns absolute paths of imported files that exist
+ */
+function importsOf(file, source) {
+    var css = (source !== undefined) ? String(source) : '';
+    var out = [];
+
+    if (source === undefined) {
+        try { css = fs.readFileSync(file, 'utf8'); } catch (e) { return out; }
+    }
+
+    importRefs(css).forEach(function (ref) {
+        // remote and data imports are the jar's business
+        if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(ref)) {
+            return;
+        }
+
+        var abs = path.resolve(path.dirname(file), decodeURI(ref.split(/[?#]/)[0]));
+
+        try {
+            if (fs.statSync(abs).isFile() && out.indexOf(abs) === -1) {
+                out.push(abs);
+            }
+        } catch (e2) { }
+    });
+
+    return out;
+}
+
+/**
+ * Local stylesheets the <style> blocks of an html page @import
+ * @param {string} file - absolute html file path
+ * @returns {string[]} - returns absolute paths of imported files that exist
+ */
+function htmlImportsOf(file) {
+    var html;
+    try { html = fs.readFileSync(file, 'utf8'); } catch (e) { return []; }
+    return importsOf(file, extractHtmlCss(html).join('\n'));
+}
+
+/**
+ * Urls named by the @import rules of a stylesheet, as written
+ * @param {string} css - stylesheet source
+ * @returns {string[]} - returns import urls in source order, commented-out ones excluded
+ */
+function importRefs(css) {
+    var re = /@import\s+(?:url\(\s*)?(["']?)([^"')\s;]+)\1\s*\)?/gi;
+    var out = [];
+    var m;
+
+    css = String(css).replace(/\/\*[\s\S]*?\*\//g, '');
+
+    while ((m = re.exec(css)) !== null) {
+        out.push(m[2]);
+    }
+
+    return out;
+}
+
+/**
+ * Rewrite the urls of a stylesheet's @import rules, commented-out ones left alone
+ * @param {string} css - stylesheet source
+ * @param {function(string): (string|null)} fn - new url for a url as written, or null to keep it
+ * @returns {string} - returns css with those import urls replaced
+ */
+function rewriteImports(css, fn) {
+    var re = /(@import\s+(?:url\(\s*)?)(["']?)([^"')\s;]+)\2/gi;
+    var masked = String(css).replace(/\/\*[\s\S]*?\*\//g, blankText);
+    var out = '';
+    var last = 0;
+    var m, to, start;
+
+    while ((m = re.exec(masked)) !== null) {
+        to = fn(m[3]);
+
+        if (to !== null && to !== undefined) {
+            start = m.index + m[1].length + m[2].length;
+            out += css.slice(last, start) + to;
+            last = start + m[3].length;
+        }
+    }
+
+    return out + String(css).slice(last);
+}
+
+/**
+ * Point the relative @imports of css validated away from its file at that file's neighbours
+ * Only the columns on the rewritten lines move.
+ * @param {string} css - stylesheet source
+ * @param {string} file - absolute path the css belongs to
+ * @returns {string} - returns css with relative import urls made absolute file urls
+ */
+function absoluteImports(css, file) {
+    return rewriteImports(css, function (ref) {
+        return /^([a-z][a-z0-9+.-]*:|\/\/|\/)/i.test(ref) ? null : new URL(ref, url.pathToFileURL(file)).href;
+    });
+}
+
+/**
+ * Follow @imports from a set of stylesheets
+ * @param {string[]} files - absolute css file paths to start from
+ * @returns {{graph:Object<string,string[]>,files:string[]}} - returns direct imports per file and every reachable file in discovery order
+ */
+function importGraph(files) {
+    var graph = {};
+    var queue = files.slice();
+    var reached = [];
+    var file;
+
+    while (queue.length > 0) {
+        file = queue.shift();
+
+        if (graph[file]) {
+            continue;
+        }
+
+        graph[file] = isCssFile(file) ? importsOf(file) : (isHtmlFile(file) ? htmlImportsOf(file) : []);
+        reached.push(file);
+        queue = queue.concat(graph[file]);
+    }
+
+    return { graph: graph, files: reached };
+}
+
+/**
+ * Targets as a list
+ * @param {string|string[]} target - file, folder or glob, or several of them
+ * @returns {string[]} - returns targets
+ */
+function targetList(target) {
+    return [].concat(target === undefined || target === null ? [] : target).map(String).filter(Boolean);
+}
+
+/**
+ * Turn gitignore-style lines into patterns
+ * @param {string} text - ignore file contents, or one pattern per line
+ * @param {string} dir - folder the patterns are relative to
+ * @returns {Array<{dir:string,glob:string,negate:boolean}>} - returns patterns in file order
+ */
+function parseIgnorePatterns(text, dir) {
+    return String(text || '').split(/\r?\n/).map(function (line) {
+        var p = line.replace(/\s+$/, '');
+        var negate = false;
+
+        if (!p || p.charAt(0) === '#') {
+            return null;
+        }
+
+        if (p.charAt(0) === '!') {
+            negate = true;
+            p = p.slice(1);
+        }
+
+        p = p.replace(/\/$/, '');
+
+        // a slash anywhere but the end anchors the pattern to its folder, otherwise it matches at any depth
+        if (p.indexOf('/') === -1) {
+            p = '**/' + p;
+        }
+
+        return { dir: dir, glob: p.replace(/^\//, ''), negate: negate };
+    }).filter(Boolean);
+}
+
+/**
+ * Check a file against ignore patterns, last match wins
+ * A pattern matching one of the file's folders ignores everything below it.
+ * @param {Array<{dir:string,glob:string,negate:boolean}>} patterns - patterns from parseIgnorePatterns
+ * @param {string} file - absolute file path
+ * @returns {boolean} - returns true when ignored
+ */
+function isIgnoredByPatterns(patterns, file) {
+    var ignored = false;
+
+    patterns.forEach(function (p) {
+        var rel = path.relative(p.dir, file).split(path.sep).join('/');
+
+        // only "anywhere" patterns reach files outside the pattern's folder
+        if (rel.indexOf('../') === 0 || path.isAbsolute(rel)) {
+            if (p.glob.indexOf('**/') !== 0) {
+                return;
+            }
+            rel = file.split(path.sep).join('/').replace(/^\//, '');
+        }
+
+        if (minimatch(rel, p.glob, { dot: true }) || minimatch(rel, p.glob + '/**', { dot: true })) {
+            ignored = !p.negate;
+        }
+    });
+
+    return ignored;
+}
+
+/**
+ * Read an ignore file, returning no patterns when it does not exist
+ * @param {string} file - absolute path to a gitignore-style file
+ * @returns {Array<{dir:string,glob:string,negate:boolean}>} - returns patterns
+ */
+function readIgnoreFile(file) {
+    try {
+        return parseIgnorePatterns(fs.readFileSync(file, 'utf8'), path.dirname(file));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * .gitignore patterns that apply to a file: every .gitignore from the repository root down to its folder
+ * @param {string} file - absolute file path
+ * @param {object} seen - per-run cache of patterns by folder
+ * @returns {Array<{dir:string,glob:string,negate:boolean}>} - returns patterns, outermost first
+ */
+function gitignorePatternsFor(file, seen) {
+    var dirs = [];
+    var dir = path.dirname(file);
+
+    while (true) {
+        dirs.unshift(dir);
+        if (fs.existsSync(path.join(dir, '.git')) || path.dirname(dir) === dir) { break; }
+        dir = path.dirname(dir);
+    }
+
+    return dirs.reduce(function (all, d) {
+        if (!seen[d]) {
+            seen[d] = readIgnoreFile(path.join(d, '.gitignore'));
+        }
+        return all.concat(seen[d]);
+    }, []);
+}
+
+/**
+ * Glob files under a folder or from a glob pattern
+ * @param {string} pattern - glob pattern
+ * @param {string} cwd - folder the pattern is relative to
+ * @param {string[]} ignore - globs the walk skips
+ * @returns {Promise<string[]>} - resolves with absolute paths
+ */
+function globFiles(pattern, cwd, ignore) {
+    return new Promise(function (resolve, reject) {
+        glob(pattern, { cwd: cwd, nodir: true, ignore: ignore }, function (err, matches) {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            resolve(matches.map(function (m) { return path.resolve(cwd, m); }));
+        });
+    });
+}
+
+/**
+ * Build the ignore check for discovered files: --ignore patterns, the ignore file and (opt-in) .gitignore
+ * @param {object} cfg - validator config (cfg.ignore, cfg.ignorePath, cfg.gitignore)
+ * @returns {function(string): boolean} - returns true for ignored absolute paths
+ */
+function ignoreFilter(cfg) {
+    var patterns = parseIgnorePatterns(toGlobList(cfg.ignore).join('\n'), process.cwd());
+    var gitignores = {};
+
+    if (cfg.ignorePath !== false) {
+        patterns = patterns.concat(readIgnoreFile(path.resolve(cfg.ignorePath || IGNORE_FILE)));
+    }
+
+    return function (file) {
+        if (isIgnoredByPatterns(patterns, file)) {
+            return true;
+        }
+        return !!cfg.gitignore && isIgnoredByPatterns(gitignorePatternsFor(file, gitignores), file);
+    };
+}
+
+/**
+ * Expand targets into a list of files
+ * Folders and globs skip node_modules, --ignore patterns, .w3cvalidatecssignore and (opt-in) .gitignore;
+ * files named directly are always kept.
+ * @param {string|string[]} target - files, folders or globs
+ * @param {object} cfg - validator config (cfg.html, cfg.ignore, cfg.ignorePath, cfg.gitignore)
+ * @returns {Promise<string[]>} - resolves with absolute file paths, without duplicates
+ */
+async function expandFiles(target, cfg) {
+    cfg = cfg || {};
+
+    var targets = targetList(target);
+    var cwd = process.cwd();
+    var ignored = ignoreFilter(cfg);
+    var out = [];
+    var i, t, abs, st, found;
+
+    if (targets.length === 0) {
+        throw new errors.W3cValidateCssError('no target given', 'EUSAGE');
+    }
+
+    function discovered(file) {
+        return !ignored(file);
+    }
+
+    for (i = 0; i < targets.length; i++) {
+        t = targets[i];
+        abs = path.resolve(t);
+
+        if (glob.hasMagic(t)) {
+            // patterns naming node_modules mean it
+            found = await globFiles(t, cwd, /node_modules/.test(t) ? [] : DEFAULT_IGNORE);
+            found = found.filter(function (f) { return (isCssFile(f) || (cfg.html && isHtmlFile(f))) && discovered(f); });
+        }
+        else {
+            try {
+                st = await fsp.stat(abs);
+            } catch (e) {
+                var msg = (e && e.code === 'ENOENT') ? ('path not found ' + t) : (e && e.message ? e.message : String(e));
+                throw new errors.W3cValidateCssError(msg, 'ETARGET');
+            }
+
+            if (st.isFile()) {
+                if (!isCssFile(abs) && !isHtmlFile(abs)) {
+                    throw new errors.W3cValidateCssError('not a css or html file ' + t, 'ETARGET');
+                }
+                found = [abs];
+            }
+            else {
+                found = (await globFiles(filePattern(cfg), abs, DEFAULT_IGNORE)).filter(discovered);
+            }
+        }
+
+        found.forEach(function (f) {
+            if (out.indexOf(f) === -1) { out.push(f); }
+        });
+    }
+
+    return out;
+}
+
+/**
+ * Where a fetched url is kept, laid out like the server so relative @imports between sheets resolve
+ * @param {string} dir - temp folder for this run
+ * @param {string} href - absolute url
+ * @returns {string} - returns absolute file path ending in .css
+ */
+function mirrorPath(dir, href) {
+    var u = new URL(href);
+    var parts = u.pathname.replace(/\/$/, '/index').split('/').map(function (p) {
+        try { return decodeURIComponent(p); } catch (e) { return p; }
+    }).filter(function (p) { return p && p !== '.' && p !== '..' && p.indexOf('/') === -1; });
+    var file = path.join.apply(path, [dir, u.host.replace(/:/g, '_')].concat(parts.length ? parts : ['index']));
+
+    return isCssFile(file) ? file : file + '.css';
+}
+
+/**
+ * Fetch a stylesheet or page
+ * @param {string} href - absolute url
+ * @param {object} cfg - validator config (cfg.timeout also limits the request)
+ * @returns {Promise<{text:string,html:boolean,url:string}>} - resolves with the body, whether it is a page, and the url after redirects
+ */
+async function fetchTarget(href, cfg) {
+    var res;
+
+    try {
+        res = await fetch(href, { headers: { 'User-Agent': 'w3c-validate-css (+node)' }, redirect: 'follow', timeout: parseInt(cfg.timeout, 10) || 0 });
+    } catch (e) {
+        throw new errors.TargetFetchError('could not fetch ' + href + ' ' + (e && e.message ? e.message : String(e)), { url: href, cause: e });
+    }
+
+    if (!res.ok) {
+        throw new errors.TargetFetchError('fetch failed ' + res.status + ' ' + href, { url: href, status: res.status });
+    }
+
+    var text = await res.text();
+    var type = res.headers.get('content-type') || '';
+
+    return {
+        text: text,
+        html: /html/i.test(type) || (!/css/i.test(type) && /^\s*</.test(text)),
+        url: res.url || href
+    };
+}
+
+/**
+ * Stylesheet urls a page links to, as written
+ * @param {string} html - page source
+ * @returns {string[]} - returns href of every <link rel="stylesheet">, alternates excluded
+ */
+function stylesheetLinks(html) {
+    var tagRe = /<link\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+    var out = [];
+    var t, rel, href;
+
+    function attr(tag, name) {
+        var m = new RegExp('\\s' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\'|([^\\s>]+))', 'i').exec(tag);
+        return m ? (m[1] !== undefined ? m[1] : (m[2] !== undefined ? m[2] : m[3])) : null;
+    }
+
+    html = String(html).replace(/<!--[\s\S]*?-->/g, '');
+
+    while ((t = tagRe.exec(html)) !== null) {
+        rel = (attr(t[0], 'rel') || '').toLowerCase().split(/\s+/);
+        href = attr(t[0], 'href');
+
+        if (href && rel.indexOf('stylesheet') !== -1 && rel.indexOf('alternate') === -1) {
+            out.push(href);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Fetch url targets into a temp folder, with the same-origin stylesheets they @import
+ * A page is only accepted with cfg.crawl, which validates the same-origin stylesheets it links
+ * and everything they @import in their own right.
+ * @param {string[]} urls - stylesheet or page urls
+ * @param {object} cfg - validator config (crawl, timeout)
+ * @returns {Promise<{dir:string,files:string[],urls:Object<string,string>,failed:Object<string,Error>}>} - resolves with files to validate, the url behind each file and fetch failures by file
+ */
+async function fetchTargets(urls, cfg) {
+    var out = { dir: await fsp.mkdtemp(path.join(os.tmpdir(), 'w3c-validate-css-')), files: [], urls: {}, failed: {} };
+    var seen = {};
+
+    function sameOrigin(ref, base, origin) {
+        var u;
+        try { u = new URL(ref, base); } catch (e) { return null; }
+        u.hash = '';
+        return (u.origin === origin) ? u.href : null;
+    }
+
+    function add(file) {
+        if (out.files.indexOf(file) === -1) { out.files.push(file); }
+    }
+
+    /**
+     * Fetch one stylesheet and, depth first, what it imports
+     * @param {string} href - stylesheet url
+     * @param {boolean} own - validate it in its own right, not only through its importer
+     * @param {{text:string,html:boolean,url:string}} [got] - response when already fetched
+     * @returns {Promise<void>} - resolves once saved
+     */
+    async function sheet(href, own, got) {
+        var file = seen[href] || mirrorPath(out.dir, href);
+
+        if (own) { add(file); }
+        if (seen[href]) { return; }
+
+        seen[href] = file;
+        out.urls[file] = href;
+
+        if (!got) {
+            try {
+                got = await fetchTarget(href, cfg);
+            } catch (e) {
+                if (!(e instanceof errors.W3cValidateCssError)) { throw e; }
+                out.failed[file] = e;
+                return;
+            }
+        }
+
+        var origin = new URL(got.url).origin;
+        var imports = [];
+
+        // point same-origin imports at their mirrored copies, root-relative and absolute urls would miss them
+        var css = rewriteImports(got.text, function (ref) {
+            var imported = sameOrigin(ref, got.url, origin);
+            if (!imported) { return null; }
+
+            imports.push(imported);
+            return path.relative(path.dirname(file), seen[imported] || mirrorPath(out.dir, imported))
+                .split(path.sep).map(encodeURIComponent).join('/');
+        });
+
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, css, 'utf8');
+
+        for (var k = 0; k < imports.length; k++) {
+            await sheet(imports[k], !!cfg.crawl);
+        }
+    }
+
+    // the caller only owns the folder once it is returned
+    try {
+        for (var i = 0; i < urls.length; i++) {
+            var got = null;
+            var file = mirrorPath(out.dir, urls[i]);
+
+            try {
+                got = await fetchTarget(urls[i], cfg);
+            } catch (e) {
+                if (!(e instanceof errors.W3cValidateCssError)) { throw e; }
+                add(file);
+                out.urls[file] = urls[i];
+                out.failed[file] = e;
+                continue;
+            }
+
+            if (!got.html) {
+                await sheet(urls[i], true, got);
+                continue;
+            }
+
+            if (!cfg.crawl) {
+                throw new errors.W3cValidateCssError(urls[i] + ' is a page, use --crawl to validate the stylesheets it links', 'EUSAGE');
+            }
+
+            // linked stylesheets, then the ones <style> blocks pull in
+            var origin = new URL(got.url).origin;
+            var refs = stylesheetLinks(got.text);
+            extractHtmlCss(got.text).forEach(function (css) { refs = refs.concat(importRefs(css)); });
+
+            for (var k = 0; k < refs.length; k++) {
+                var href = sameOrigin(refs[k], got.url, origin);
+                if (href) { await sheet(href, true); }
+            }
+        }
+    } catch (e) {
+        try { fs.rmSync(out.dir, { recursive: true, force: true }); } catch (e2) { }
+        throw e;
+    }
+
+    return out;
+}
+
+/**
+ * Build JAR args
+ * @param {string|string[]} file - absolute file path, or array of paths for batch mode
+ * @param {object} cfg - validator config
+ * @returns {string[]} - returns array of args for java spawn
+ */
+function buildArgs(file, cfg) {
+    var files = Array.isArray(file) ? file : [file];
+    var fileUris = files.map(function (f) { return url.pathToFileURL(f).href; });
+
+    var args = jvmArgsFor(cfg).concat([
+        '-Djava.net.useSystemProxies=false',
+        '-Dhttp.proxyHost=', '-Dhttp.proxyPort=',
+        '-Dhttps.proxyHost=', '-Dhttps.proxyPort=',
+        '-jar', CURRENT_JAR_PATH,
+        '-output', 'json',
+        '-warning', String(cfg.warningLevel || 0),
+        '-profile', String(cfg.profile || 'css3'),
+        '-lang', String(cfg.lang || 'en'),
+        '-medium', String(cfg.medium || 'all')
+    ]);
+
+    // left to the jar's own default unless asked for
+    if (cfg.vendorExtensions) {
+        args.push('-vextwarning', /^warn/i.test(String(cfg.vendorExtensions)) ? 'true' : 'false');
+    }
+
+    return args.concat(fileUris);
+}
+
+/**
+ * Extra jvm options, e.g. "-Xmx512m -Xss4m"
+ * @param {object} cfg - validator config (cfg.jvmArgs: string or array)
+ * @returns {string[]} - returns jvm args
+ */
+function jvmArgsFor(cfg) {
+    var v = cfg && cfg.jvmArgs;
+    if (!v) { return []; }
+    return (Array.isArray(v) ? v : String(v).split(/\s+/)).map(String).filter(Boolean);
+}
+
+/**
+ * Key files by the jar args they need, so only files with identical args share a jvm
+ * @param {object} cfg - per-file validator config (single profile)
+ * @returns {string} - returns grouping key
+ */
+function jarArgsKey(cfg) {
+    return [cfg.profile || 'css3', cfg.warningLevel || 0, cfg.medium || 'all', cfg.lang || 'en', cfg.vendorExtensions || ''].join('|');
+}
+
+/**
+ * Run validator once
+ * The jvm is killed after cfg.timeout ms per file (0 or unset waits forever).
+ * @param {string|string[]} file - css file path, or array of paths for batch mode
+ * @param {object} cfg - validator config
+ * @returns {Promise<{stdout:string,stderr:string,code:number,timedOut:boolean,error:Error}>} - resolves with process output
+ */
+async function runOne(file, cfg) {
+    return new Promise(function (resolve) {
+        var env = {};
+        var k;
+
+        for (k in process.env) {
+            if (Object.prototype.hasOwnProperty.call(process.env, k)) {
+                env[k] = process.env[k];
+            }
+        }
+
+        env.http_proxy = '';
+        env.https_proxy = '';
+        env.no_proxy = '';
+
+        var args = buildArgs(file, cfg);
+        var timeout = (parseInt(cfg.timeout, 10) || 0) * (Array.isArray(file) ? file.length : 1);
+        var out = '';
+        var err = '';
+        var timedOut = false;
+        var timer = null;
+        var done = false;
+        var p;
+
+        function finish(res) {
+            if (done) { return; }
+            done = true;
+            clearTimeout(timer);
+            resolve(Object.assign({ stdout: out, stderr: err, timedOut: timedOut }, res));
+        }
+
+        try {
+            p = child.spawn(CURRENT_JAVA, args, { env: env });
+        } catch (e) {
+            finish({ code: 1, error: e });
+            return;
+        }
+
+        p.stdout.on('data', function (d) { out += String(d || ''); });
+        p.stderr.on('data', function (d) { err += String(d || ''); });
+
+        if (timeout > 0) {
+            timer = setTimeout(function () {
+                timedOut = true;
+                p.kill('SIGKILL');
+            }, timeout);
+        }
+
+        p.on('close', function (code, signal) { finish({ code: code === null ? 1 : code, signal: signal || null }); });
+        p.on('error', function (e) { finish({ code: 1, error: e }); });
+    });
+}
+
+/**
+ * Run the validator, trying once more if the jvm crashed without a report
+ * @param {string|string[]} file - css file path, or array of paths for batch mode
+ * @param {object} cfg - validator config
+ * @returns {Promise<object>} - resolves with process output from runOne
+ */
+async function runValidator(file, cfg) {
+    var proc = await runOne(file, cfg);
+
+    // a timeout would only time out again
+    if (!proc.timedOut && (proc.error || proc.signal || !/[{]/.test(proc.stdout + proc.stderr))) {
+        proc = await runOne(file, cfg);
+    }
+
+    return proc;
+}
+
+/**
+ * Normalize a JAR path or file: URL to absolute path
+ * @param {string} raw - raw file path or file url from jar
+ * @returns {string} - returns absolute normalized path
+ */
+function normalizeJarPath(raw) {
+    var s = String(raw || '');
+
+    if (s.slice(0, 5).toLowerCase() === 'file:') {
+        s = s.slice(5);
+    }
+
+    try {
+        if (s.indexOf('///') === 0 || s.indexOf('//') === 0) {
+            return path.resolve(url.fileURLToPath('file:' + s));
+        }
+    } catch (e) { }
+
+    try {
+        s = decodeURI(s);
+    } catch (e2) { }
+
+    return path.resolve(s);
+}
+
+/**
+ * Extract first JSON object from text
+ * @param {string} text - raw process output
+ * @returns {object|null} - returns parsed json or null
+ */
+function safeParseFirstJson(text) {
+    var s = String(text || '');
+    var first = s.indexOf('{');
+    var last = s.lastIndexOf('}');
+    if (first === -1 || last === -1 || last <= first) {
+        return null;
+    }
+    var sub = s.slice(first, last + 1);
+    try {
+        return JSON.parse(sub);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Extract every top level JSON object from text (batch runs print one per file)
+ * @param {string} text - raw process output
+ * @returns {Array<object>} - returns parsed json objects in output order
+ */
+function parseAllJson(text) {
+    var s = String(text || '');
+    var out = [];
+    var depth = 0;
+    var start = -1;
+    var inString = false;
+    var escaped = false;
+    var i, ch;
+
+    for (i = 0; i < s.length; i++) {
+        ch = s[i];
+
+        if (inString) {
+            if (escaped) { escaped = false; }
+            else if (ch === '\\') { escaped = true; }
+            else if (ch === '"') { inString = false; }
+            continue;
+        }
+
+        if (ch === '"' && depth > 0) {
+            inString = true;
+        }
+        else if (ch === '{') {
+            if (depth === 0) { start = i; }
+            depth++;
+        }
+        else if (ch === '}' && depth > 0) {
+            depth--;
+            if (depth === 0) {
+                try { out.push(JSON.parse(s.slice(start, i + 1))); }
+                catch (e) { /* ignore fragments that are not json */ }
+            }
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Read the validated uri from a validator JSON object
+ * @param {object} json - json object from validator
+ * @returns {string|null} - returns absolute file path or null
+ */
+function jsonSourceFile(json) {
+    var root = json && (json.cssvalidation || json.cssValidation || json.validation || json);
+    var uri = root && root.uri;
+    return uri ? normalizeJarPath(uri) : null;
+}
+
+/**
+ * Clean validator message
+ * @param {string} s - raw message
+ * @returns {string} - trimmed message without a trailing colon
+ */
+function cleanMessage(s) {
+    // the jar ends most messages with " : ", french output puts a no-break space before it
+    return String(s || '').replace(/[\s\u00a0]*[:：][\s\u00a0]*$/, '').trim();
+}
+
+/**
+ * Parse comma/space separated list into array
+ * @param {string|Array|undefined} v - raw input
+ * @returns {Array<string>} - normalized list
+ */
+function toList(v) {
+    if (!v) { return []; }
+    if (Array.isArray(v)) { return v; }
+    return String(v).split(/[,\s]+/).filter(Boolean).map(function (s) { return s.toLowerCase(); });
+}
+
+/**
+ * Classify a validator message into a stable rule id
+ * @param {string} msg - cleaned validator message
+ * @param {string} [type] - the jar's own type for the message
+ * @returns {string} - returns a rule id, or 'other' when nothing matches
+ */
+function ruleFor(msg, type) {
+    var t = String(type || '').toLowerCase();
+    var i;
+
+    for (i = 0; t && i < RULES.length; i++) {
+        if (RULES[i].type.test(t)) {
+            return RULES[i].id;
+        }
+    }
+
+    for (i = 0; i < RULES.length; i++) {
+        if (RULES[i].msg.test(msg)) {
+            return RULES[i].id;
+        }
+    }
+
+    return 'other';
+}
+
+/**
+ * Try to extract property name from "Property “foo-bar” doesn't exist" (or its translation)
+ * @param {string} msg - validator message
+ * @param {string} [type] - the jar's type for the message, used when the message is not english
+ * @returns {string|null} - property name or null
+ */
+function extractPropFromDoesNotExist(msg, type) {
+    var m = String(msg || '').match(/Property\s+[“"']?([a-z0-9-]+)[”"']?\s+doesn'?t\s+exist/i);
+
+    // other languages keep the quoted property name, e.g. La propriété « foo-bar » n'existe pas
+    if (!m && /^noexistence(-at-all)?$/i.test(String(type || ''))) {
+        m = String(msg || '').match(/[“"'«„‘「]\s*([a-z0-9-]+)\s*[”"'»“’」]/i);
+    }
+
+    return m && m[1] ? m[1].toLowerCase() : null;
+}
+
+/**
+ * Read w3c-validate-css-* suppression comments from a stylesheet
+ * @param {string} source - css source text
+ * @returns {Array<{kind:string,line:number,col:number,match:string,from:number,to:number,used:boolean}>} - returns directives with the line range they cover
+ */
+function parseDirectives(source) {
+    var s = String(source || '');
+    var re = /\/\*([\s\S]*?)\*\//g;
+    var directives = [];
+    var open = [];
+    var m, d, startLine, endLine, before, match, i;
+
+    while ((m = re.exec(s)) !== null) {
+        d = m[1].match(DIRECTIVE_RE);
+        if (!d) {
+            continue;
+        }
+
+        before = s.slice(0, m.index);
+        startLine = before.split('\n').length;
+        endLine = startLine + (m[0].split('\n').length - 1);
+        match = String(d[2] || '').replace(/^["'“]|["'”]$/g, '').trim().toLowerCase();
+
+        if (d[1] === 'enable') {
+            // plain enable closes every open block, enable <text> only the matching one
+            for (i = open.length - 1; i >= 0; i--) {
+                if (!match || open[i].match === match) {
+                    open[i].to = startLine;
+                    open.splice(i, 1);
+                }
+            }
+            continue;
+        }
+
+        var directive = {
+            kind: d[1],
+            line: startLine,
+            col: m.index - before.lastIndexOf('\n'),
+            match: match,
+            from: d[1] === 'disable' ? startLine : endLine + 1,
+            to: d[1] === 'disable' ? Infinity : endLine + 1,
+            used: false
+        };
+
+        directives.push(directive);
+
+        if (d[1] === 'disable') {
+            open.push(directive);
+        }
+    }
+
+    return directives;
+}
+
+/**
+ * Check if an issue is covered by a suppression comment (marks the directive as used)
+ * @param {Array} directives - directives from parseDirectives
+ * @param {number} line - issue line
+ * @param {string} msg - issue message
+ * @returns {boolean} - returns true if the issue is suppressed
+ */
+function isSuppressed(directives, line, msg) {
+    var lower = String(msg || '').toLowerCase();
+    var hit = false;
+
+    for (var i = 0; i < directives.length; i++) {
+        var d = directives[i];
+        if (line >= d.from && line <= d.to && (!d.match || lower.indexOf(d.match) !== -1)) {
+            d.used = true;
+            hit = true;
+        }
+    }
+
+    return hit;
+}
+
+/**
+ * Render the source around an issue with a caret under the column
+ * Long lines are cut to a window around the column so minified files stay readable.
+ * @param {string|Array<string>} source - source text, or its lines
+ * @param {number} line - 1-based issue line (0 when unknown)
+ * @param {number} [col] - 1-based issue column (0 when unknown)
+ * @returns {string} - returns the plain text frame, or an empty string without a line
+ */
+function codeFrame(source, line, col) {
+    var lines = Array.isArray(source) ? source : String(source || '').split(/\r?\n/);
+
+    if (!line || line > lines.length) {
+        return '';
+    }
+
+    // a trailing newline is not a line of its own
+    var count = (lines.length > 1 && lines[lines.length - 1] === '') ? lines.length - 1 : lines.length;
+    var first = Math.max(1, line - FRAME_CONTEXT);
+    var last = Math.max(line, Math.min(count, line + FRAME_CONTEXT));
+    var gutter = String(last).length;
+    var at = Math.max(0, (col || 1) - 1);
+    var start = 0;
+    var out = [];
+    var n, text, prefix;
+
+    // every line shares the window so columns stay aligned
+    if (lines[line - 1].length > FRAME_WIDTH) {
+        start = Math.max(0, Math.min(at - Math.floor(FRAME_WIDTH / 2), lines[line - 1].length - FRAME_WIDTH));
+    }
+
+    for (n = first; n <= last; n++) {
+        text = lines[n - 1];
+
+        if (text.length > FRAME_WIDTH) {
+            text = (start > 0 ? '…' : '') + text.slice(start, start + FRAME_WIDTH) + (start + FRAME_WIDTH < text.length ? '…' : '');
+        }
+
+        prefix = (n === line ? '> ' : '  ') + (' '.repeat(gutter) + n).slice(-gutter) + ' | ';
+        out.push((prefix + text).replace(/\s+$/, ''));
+
+        if (n === line && col) {
+            // keep tabs so the caret lines up in terminals
+            var lead = lines[n - 1].slice(start, at).replace(/[^\t]/g, ' ');
+            out.push('  ' + ' '.repeat(gutter) + ' | ' + (start > 0 ? ' ' : '') + lead + '^');
+        }
+    }
+
+    return out.join('\n');
+}
+
+/**
+ * Find the source map for a stylesheet: sourceMappingURL comment first, then a sibling .map file
+ * @param {string} file - absolute css file path
+ * @param {string} source - css source text
+ * @returns {{text:string,dir:string}|null} - returns raw map text and the folder its sources resolve from
+ */
+function findSourceMap(file, source) {
+    var re = /\/\*[#@]\s*sourceMappingURL=([^\s*]+)\s*\*\//g;
+    var m, ref = null;
+
+    while ((m = re.exec(String(source || ''))) !== null) {
+        ref = m[1];
+    }
+
+    try {
+        if (ref && /^data:/i.test(ref)) {
+            var comma = ref.indexOf(',');
+            var meta = ref.slice(0, comma);
+            var body = ref.slice(comma + 1);
+            var text = /;base64$/i.test(meta) ? Buffer.from(body, 'base64').toString('utf8') : decodeURIComponent(body);
+            return { text: text, dir: path.dirname(file) };
+        }
+
+        var mapFile = ref
+            ? path.resolve(path.dirname(file), decodeURIComponent(ref.split(/[?#]/)[0]))
+            : file + '.map';
+
+        return { text: fs.readFileSync(mapFile, 'utf8'), dir: path.dirname(mapFile) };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Resolve a source map "sources" entry to an absolute path
+ * @param {string} src - entry from map.sources
+ * @param {string} sourceRoot - map.sourceRoot
+ * @param {string} dir - folder containing the map
+ * @returns {string} - returns absolute path
+ */
+function sourceMapSourcePath(src, sourceRoot, dir) {
+    var s = String(src || '');
+
+    if (/^file:/i.test(s)) {
+        return url.fileURLToPath(s);
+    }
+
+    // bundler schemes such as webpack://project/./src/app.scss
+    s = s.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*\/?/i, '');
+
+    return path.resolve(dir, sourceRoot ? String(sourceRoot).replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*\/?/i, '') : '', s);
+}
+
+/**
+ * Attach original source positions to issues when the stylesheet has a source map
+ * @param {string} file - absolute css file path
+ * @param {string} source - css source text
+ * @param {Array<{line:number,col:number}>} issues - issues to annotate in place with issue.original
+ * @returns {void}
+ */
+function mapIssuesToSources(file, source, issues) {
+    if (issues.length === 0) {
+        return;
+    }
+
+    var found = findSourceMap(file, source);
+    if (!found) {
+        return;
+    }
+
+    var map, consumer;
+    try {
+        map = JSON.parse(found.text);
+        consumer = new SourceMapConsumer(map);
+    } catch (e) {
+        return;
+    }
+
+    issues.forEach(function (issue) {
+        if (!issue.line) {
+            return;
+        }
+
+        // no column from the jar: take the first mapping on the line
+        var pos = consumer.originalPositionFor({
+            line: issue.line,
+            column: issue.col ? issue.col - 1 : 0,
+            bias: issue.col ? SourceMapConsumer.GREATEST_LOWER_BOUND : SourceMapConsumer.LEAST_UPPER_BOUND
+        });
+
+        if (pos && pos.source && pos.line) {
+            issue.original = {
+                file: sourceMapSourcePath(pos.source, map.sourceRoot, found.dir),
+                line: pos.line,
+                col: (pos.column || 0) + 1
+            };
+        }
+    });
+}
+
+/**
+ * Parse JSON output from validator
+ * Issues the jar reports for @import-ed local files come back under `imported`, one entry per file.
+ * @param {object} json - json object from validator
+ * @param {string} file - absolute path of the css file
+ * @param {boolean} includeWarnings - include warnings in results
+ * @param {boolean} includeDeprecations - include deprecation warnings
+ * @param {object} cfg - full validator config (for tolerate list and cfg.reportUnusedDirectives)
+ * @returns {{errors:Array, warnings:Array, unusedDirectives:Array|undefined, imported:Array|undefined}} - returns parsed issues
+ */
+function parseIssuesFromJson(json, file, includeWarnings, includeDeprecations, cfg) {
+    var fileAbs = path.resolve(file);
+
+    var root = json && (json.cssvalidation || json.cssValidation || json.validation || json);
+    if (!root) {
+        return { errors: [], warnings: [] };
+    }
+
+    var jErrors = root.errors || root.error || [];
+    var jWarnings = root.warnings || root.warning || [];
+
+    if (!Array.isArray(jErrors)) { jErrors = []; }
+    if (!Array.isArray(jWarnings)) { jWarnings = []; }
+
+    // group by the file each message is about; remote imports are not ours to report
+    var bySource = {};
+    var order = [fileAbs];
+    bySource[fileAbs] = { errors: [], warnings: [] };
+
+    function group(list, kind) {
+        list.forEach(function (it) {
+            it = it || {};
+            var raw = String(it.source || it.uri || '');
+            var src = raw ? normalizeJarPath(raw) : fileAbs;
+
+            if (!bySource[src]) {
+                if (!/^file:/i.test(raw) && !path.isAbsolute(raw)) {
+                    return;
+                }
+                bySource[src] = { errors: [], warnings: [] };
+                order.push(src);
+            }
+
+            bySource[src][kind].push(it);
+        });
+    }
+
+    group(jErrors, 'errors');
+    group(jWarnings, 'warnings');
+
+    var out = issuesForSource(fileAbs, bySource[fileAbs], includeWarnings, includeDeprecations, cfg, !!(cfg && cfg.reportUnusedDirectives));
+
+    var imported = order.slice(1).map(function (src) {
+        var srcCfg = (cfg && typeof cfg.configFor === 'function') ? cfg.configFor(src) : null;
+        var issues = srcCfg
+            ? issuesForSource(src, bySource[src], !srcCfg.errorsOnly && (srcCfg.warningLevel > 0), !!srcCfg.showDeprecations, srcCfg, false)
+            : issuesForSource(src, bySource[src], includeWarnings, includeDeprecations, cfg, false);
+        return { file: src, errors: issues.errors, warnings: issues.warnings };
+    }).filter(function (imp) {
+        return imp.errors.length > 0 || imp.warnings.length > 0;
+    });
+
+    if (imported.length > 0) {
+        out.imported = imported;
+    }
+
+    return out;
+}
+
+/**
+ * Turn the jar's messages about one file into issues
+ * @param {string} fileAbs - absolute path of the file the messages are about
+ * @param {{errors:Array,warnings:Array}} messages - raw jar messages for that file
+ * @param {boolean} includeWarnings - include warnings in results
+ * @param {boolean} includeDeprecations - include deprecation warnings
+ * @param {object} cfg - full validator config (for tolerate list and rules)
+ * @param {boolean} reportUnused - list suppression comments that matched nothing
+ * @returns {{errors:Array, warnings:Array, unusedDirectives:Array|undefined}} - returns parsed issues
+ */
+function issuesForSource(fileAbs, messages, includeWarnings, includeDeprecations, cfg, reportUnused) {
+    var errors = [];
+    var warnings = [];
+    var jErrors = messages.errors;
+    var jWarnings = messages.warnings;
+
+    var tolerate = (cfg && cfg.tolerate) ? cfg.tolerate : [];
+
+    var source = '';
+    try { source = fs.readFileSync(fileAbs, 'utf8'); } catch (e) { }
+
+    var directives = parseDirectives(source);
+
+    var rules = (cfg && cfg.rules) || {};
+    var i, it, msg, line, col, type, prop, issue, severity;
+
+    /**
+     * File an issue under errors or warnings once the rules map has had its say
+     * @param {object} issue - issue with its rule id
+     * @param {string} severity - severity before the rules map (warn or error)
+     * @returns {void}
+     */
+    function add(issue, severity) {
+        severity = rules[issue.rule] || severity;
+
+        if (severity === 'error') {
+            errors.push(issue);
+        }
+        else if (severity === 'warn' && includeWarnings) {
+            warnings.push(issue);
+        }
+    }
+
+    /**
+     * Build an issue, keeping the jar's type when it sent one
+     * @returns {{line:number,col:number,msg:string,rule:string,type:string}} - returns issue
+     */
+    function toIssue() {
+        var out = { line: line, col: col, msg: msg, rule: ruleFor(msg, type) };
+        if (type) { out.type = type; }
+        return out;
+    }
+
+    for (i = 0; i < jErrors.length; i++) {
+        it = jErrors[i] || {};
+        msg = cleanMessage(it.message || it.error || it.msg || '');
+        line = parseInt(it.line, 10) || 0;
+        col = parseInt(it.col || it.column, 10) || 0;
+        type = String(it.type || it.category || '');
+
+        if (isSuppressed(directives, line, msg)) {
+            continue;
+        }
+
+        issue = toIssue();
+        severity = 'error';
+
+        // downgrade specific "doesn't exist" errors if tolerated
+        prop = extractPropFromDoesNotExist(msg, type);
+        if (prop && tolerate.indexOf(prop) !== -1) {
+            severity = 'warn';
+        }
+
+        add(issue, severity);
+    }
+
+    // walk warnings even when excluded so directives aimed at them are not reported unused
+    for (i = 0; i < jWarnings.length; i++) {
+        it = jWarnings[i] || {};
+        msg = cleanMessage(it.message || it.warning || it.msg || '');
+        line = parseInt(it.line, 10) || 0;
+        col = parseInt(it.col || it.column, 10) || 0;
+        type = String(it.type || it.category || '');
+        issue = toIssue();
+
+        // an explicit rule setting wins over the deprecations switch
+        if (!includeDeprecations && issue.rule === 'deprecated' && !rules.deprecated) {
+            continue;
+        }
+
+        if (!isSuppressed(directives, line, msg)) {
+            add(issue, 'warn');
+        }
+    }
+
+    var out = { errors: errors, warnings: warnings };
+
+    var sourceLines = source.split(/\r?\n/);
+    errors.concat(warnings).forEach(function (issue) {
+        var frame = codeFrame(sourceLines, issue.line, issue.col);
+        if (frame) { issue.source = frame; }
+    });
+
+    if (!cfg || cfg.sourceMaps !== false) {
+        mapIssuesToSources(fileAbs, source, errors.concat(warnings));
+    }
+
+    if (reportUnused) {
+        out.unusedDirectives = directives.filter(function (d) { return !d.used; }).map(function (d) {
+            return { line: d.line, col: d.col, msg: 'Unused w3c-validate-css-' + d.kind + ' directive' + (d.match ? ' (' + d.match + ')' : '') };
+        });
+    }
+
+    return out;
 }
 
 /**
  * Parse validator output (JSON only)
  * @param {{stdout:string,stderr:string,code:number}} proc - process output
  * @param {string} file - absolute file path
- * @param {boolean} includeWarnings - include warnings in results
- * @param {boolean} includeDeprecations - include deprecation warnings
- * @param {object} cfg - full validator config
- * @returns {{errors:Array, warnings:Array}} - returns parsed issues
+ * @param {boolean} includeWarnings - include warnings in results
+ * @param {boolean} includeDeprecations - include deprecation warnings
+ * @param {object} cfg - full validator config
+ * @returns {{errors:Array, warnings:Array}} - returns parsed issues
+ */
+function parseIssues(proc, file, includeWarnings, includeDeprecations, cfg) {
+    if (proc.timedOut) {
+        throw new errors.ValidatorTimeoutError('validator timed out after ' + cfg.timeout + 'ms', { file: file, timeout: parseInt(cfg.timeout, 10) });
+    }
+
+    if (proc.error) {
+        throw new errors.ValidatorOutputError('could not run ' + CURRENT_JAVA + ': ' + proc.error.message, {
+            file: file,
+            stdout: String(proc.stdout || ''),
+            stderr: String(proc.stderr || ''),
+            exitCode: proc.code
+        });
+    }
+
+    // the validator sometimes prints to stderr; search both
+    var json =
+        safeParseFirstJson(proc.stdout) ||
+        safeParseFirstJson(proc.stderr) ||
+        safeParseFirstJson(String(proc.stdout || '') + String(proc.stderr || ''));
+    if (!json) {
+        throw new errors.ValidatorOutputError('validator did not produce JSON output', {
+            file: file,
+            stdout: String(proc.stdout || ''),
+            stderr: String(proc.stderr || ''),
+            exitCode: proc.code
+        });
+    }
+    return parseIssuesFromJson(json, file, includeWarnings, includeDeprecations, cfg);
+}
+
+/**
+ * Whether console output is suppressed (a report format or silent mode)
+ * @param {object} cfg - validator config
+ * @returns {boolean} - returns true when nothing should be printed
+ */
+function isQuiet(cfg) {
+    return !!(cfg && (cfg.json || cfg.silent));
+}
+
+/**
+ * Print one file result (the live form of the stylish reporter)
+ * @param {{file:string,ok:boolean,errors:Array,warnings:Array}} res - file result
+ * @param {object} cfg - validator config
+ * @param {string} target - original target path (file or folder)
+ * @returns {void} - prints to stdout/stderr
+ */
+function printFileResult(res, cfg, target) {
+    // code frames default on when issues land in a terminal
+    if (cfg && cfg.codeFrame === undefined) {
+        cfg = Object.assign({}, cfg, { codeFrame: !!process.stderr.isTTY });
+    }
+
+    reporters.formatFileResult(res, cfg, target).forEach(function (line) {
+        if (line.error) {
+            console.error(line.text);
+        } else {
+            console.log(line.text);
+        }
+    });
+}
+
+/**
+ * Ensure java and the validator jar are ready
+ * @param {object} [cfg] - validator config (jar options)
+ * @returns {Promise<void>} - resolves once the jar path is known
+ */
+async function ensureValidator(cfg) {
+    var bin = javaPathFor(cfg);
+
+    if (!(bin in JAVA_VERSIONS)) {
+        JAVA_VERSIONS[bin] = await javaVersion(bin);
+    }
+
+    if (JAVA_VERSIONS[bin] === null) {
+        throw new errors.JavaNotFoundError(bin === 'java' ? 'java not found' : 'java not found at ' + bin);
+    }
+
+    if (JAVA_VERSIONS[bin] < MIN_JAVA_VERSION) {
+        throw new errors.W3cValidateCssError('java ' + MIN_JAVA_VERSION + ' or newer is required, ' + bin + ' is java ' + JAVA_VERSIONS[bin], 'EJAVAVERSION', { version: JAVA_VERSIONS[bin] });
+    }
+
+    CURRENT_JAVA = bin;
+
+    var key = [cfg && cfg.jar, validatorVersionFor(cfg), cacheDirFor(cfg), cfg && cfg.jarSha256].join('|');
+
+    if (!RESOLVED_JARS[key]) {
+        RESOLVED_JARS[key] = await resolveJarPath(cfg);
+    }
+
+    CURRENT_JAR_PATH = RESOLVED_JARS[key];
+}
+
+/**
+ * Validate entry point
+ * @param {string|string[]} target - files, folders, globs or http(s) urls to validate
+ * @param {object} cfg - validator config
+ * @returns {Promise<{passed:number,failed:number,results:Array}>} - returns summary and per-file results
+ */
+async function validate(target, cfg) {
+    cfg = cfg || {};
+    concurrencyFor(cfg);
+
+    await ensureValidator(cfg);
+
+    var project = await loadProjectConfig(target, cfg);
+    var discovery = Object.assign({}, cfg);
+    if (discovery.gitignore === undefined && project) { discovery.gitignore = project.options.gitignore; }
+
+    var urls = targetList(target).filter(reporters.isUrl);
+    var paths = targetList(target).filter(function (t) { return !reporters.isUrl(t); });
+    var files = (paths.length > 0 || urls.length === 0)
+        ? (await expandFiles(paths, discovery)).filter(function (f) { return !isIgnoredByConfig(project, f); })
+        : [];
+
+    if (urls.length === 0) {
+        return validateFiles(target, cfg, project, discovery, files, null);
+    }
+
+    var remote = await fetchTargets(urls, cfg);
+
+    try {
+        return await validateFiles(target, cfg, project, discovery, files.concat(remote.files), remote);
+    } finally {
+        try { fs.rmSync(remote.dir, { recursive: true, force: true }); } catch (e) { }
+    }
+}
+
+/**
+ * Validate discovered files, printing and emitting results as they are ready
+ * @param {string|string[]} target - targets as given, for the banner and headers
+ * @param {object} cfg - validator config
+ * @param {object|null} project - project config
+ * @param {object} discovery - config used to find the files (for ignores)
+ * @param {string[]} files - absolute file paths
+ * @param {{urls:Object<string,string>,failed:Object<string,Error>}|null} remote - fetched url targets
+ * @returns {Promise<{passed:number,failed:number,results:Array}>} - returns summary and per-file results
+ */
+async function validateFiles(target, cfg, project, discovery, files, remote) {
+    var imports = null;
+
+    // reachable stylesheets are validated on their own too, even outside the target folder
+    if (cfg.followImports) {
+        imports = importGraph(files);
+        files = imports.files.filter(function (f) { return !isIgnoredByConfig(project, f); });
+    }
+
+    // fetched copies are reported under their url
+    var names = remote ? files.map(function (f) { return remote.urls[f] || f; }) : files;
+
+    // baseline fingerprints read their lines from the copy behind each url
+    var sources = {};
+    if (remote) {
+        Object.keys(remote.urls).forEach(function (f) { sources[remote.urls[f]] = f; });
+    }
+
+    // overrides match the path a file is reported under, fetched copies keep their own
+    var fileCfgs = files.map(function (f, n) { return configForFile(project, reporters.isUrl(names[n]) ? f : names[n], cfg); });
+    // one jvm for many files, unless turned off (only one file never batches anyway)
+    var useBatch = (cfg.batch !== undefined) ? !!cfg.batch : true;
+    var baseline = (cfg.baseline && !cfg.writeBaseline) ? readBaseline(cfg.baseline) : null;
+    var rawResults = new Array(files.length);
+
+    if (cfg.emitter) {
+        cfg.emitter.emit('start', { target: target, files: names.slice() });
+    }
+
+    // print banner (only if not JSON or silent mode)
+    if (!isQuiet(cfg)) {
+        var cyan = chalk.cyan;
+        var bold = chalk.bold;
+        console.log('');
+        console.log(bold(cyan('w3c validating ' + files.length + ' CSS files in ' + targetList(target).join(', '))));
+        console.log('');
+    }
+
+    var results = new Array(files.length);
+    var passed = 0;
+    var failed = 0;
+    var errored = 0;
+    var printed = 0;
+    var cached = 0;
+    var concurrency = concurrencyFor(cfg);
+    var cacheDir = (cfg.cache === false) ? null : path.resolve(cfg.cacheLocation || path.join(cacheDirFor(cfg), 'results'));
+    var cacheKeys = new Array(files.length);
+    var pending = [];
+    var importedFrom = [];
+    var i, key;
+
+    /**
+     * Store a finished result and print everything that is now ready in file order
+     * @param {number} index - file index
+     * @param {object} res - unfiltered file result
+     * @returns {void}
+     */
+    function settle(index, res) {
+        if (remote) {
+            res = relabelResult(res, remote.urls);
+        }
+
+        // issues in @import-ed files are reported under those files once the run is done
+        if (res.imported) {
+            importedFrom.push({ file: res.file, imported: res.imported });
+            res = Object.assign({}, res);
+            delete res.imported;
+        }
+
+        rawResults[index] = res;
+        results[index] = baseline ? applyBaseline(res, fileCfgs[index], baseline, sources) : res;
+
+        while (printed < results.length && results[printed]) {
+            if (!isQuiet(cfg)) {
+                printFileResult(results[printed], fileCfgs[printed], target);
+            }
+
+            if (cfg.emitter) {
+                cfg.emitter.emit('file', results[printed], printed);
+            }
+
+            if (results[printed].error) {
+                errored++;
+            } else if (results[printed].ok) {
+                passed++;
+            } else {
+                failed++;
+            }
+
+            printed++;
+        }
+    }
+
+    for (i = 0; i < files.length; i++) {
+        var hit = null;
+
+        if (remote && remote.failed[files[i]]) {
+            settle(i, failedFileResult(files[i], remote.failed[files[i]]));
+            continue;
+        }
+
+        // fetched copies live in a fresh temp folder each run, so their keys could never hit again
+        if (cacheDir && !(remote && remote.urls[files[i]])) {
+            cacheKeys[i] = resultCacheKey(files[i], fileCfgs[i]);
+            hit = cacheKeys[i] && readCachedResult(cacheDir, cacheKeys[i], files[i]);
+        }
+
+        if (hit) {
+            cached++;
+            settle(i, hit);
+        } else {
+            pending.push(i);
+        }
+    }
+
+    // batch mode shares one jvm across many files (default for folders), spread across the pool
+    var size = 1;
+    if (useBatch && pending.length > 1) {
+        size = Math.min(parseInt(cfg.batchSize, 10) || BATCH_SIZE, Math.ceil(pending.length / concurrency));
+    }
+
+    // each file runs once per profile; files only share a jvm when their overrides produce the same jar args
+    var groups = {};
+    var order = [];
+    var profiles = new Array(files.length);
+    var partial = new Array(files.length);
+
+    // html pages batch their own extracted stylesheets, so each gets a chunk of its own
+    pending.forEach(function (n) {
+        profiles[n] = profilesFor(fileCfgs[n]);
+        partial[n] = {};
+
+        profiles[n].forEach(function (p) {
+            key = isHtmlFile(files[n])
+                ? 'html|' + n + '|' + p
+                : jarArgsKey(Object.assign({}, fileCfgs[n], { profile: p }));
+            if (!groups[key]) {
+                groups[key] = [];
+                order.push(key);
+            }
+            groups[key].push({ index: n, profile: p, cfg: Object.assign({}, fileCfgs[n], { profile: p }) });
+        });
+    });
+
+    var chunks = [];
+    order.forEach(function (k) {
+        for (var n = 0; n < groups[k].length; n += size) {
+            chunks.push(groups[k].slice(n, n + size));
+        }
+    });
+
+    /**
+     * Record one profile's result, settling the file once every profile is in
+     * @param {{index:number,profile:string}} job - file and profile validated
+     * @param {object} res - file result for that profile
+     * @returns {void}
+     */
+    function finish(job, res) {
+        var n = job.index;
+        var fileCfg = fileCfgs[n];
+
+        partial[n][job.profile] = res;
+
+        if (Object.keys(partial[n]).length < profiles[n].length) {
+            return;
+        }
+
+        if (profiles[n].length > 1) {
+            res = mergeProfileResults(files[n], profiles[n], partial[n], !fileCfg.errorsOnly && (fileCfg.warningLevel > 0));
+        }
+
+        // failures are worth another go next run
+        if (cacheDir && cacheKeys[n] && !res.error) {
+            writeCachedResult(cacheDir, cacheKeys[n], res);
+        }
+        settle(n, res);
+    }
+
+    await runPool(chunks, concurrency, async function (jobs) {
+        var chunkFiles = jobs.map(function (job) { return files[job.index]; });
+        var chunkCfgs = jobs.map(function (job) { return job.cfg; });
+        var chunkResults = (chunkFiles.length > 1)
+            ? await validateFilesBatch(chunkFiles, chunkCfgs[0], chunkCfgs)
+            : [await validateFileRaw(chunkFiles[0], chunkCfgs[0])];
+
+        for (var j = 0; j < chunkResults.length; j++) {
+            finish(jobs[j], chunkResults[j]);
+        }
+    });
+
+    // ignoring a file also hides the issues it brings in through @import
+    var ignored = ignoreFilter(discovery);
+    importedResults(names, importedFrom, function (f) { return configForFile(project, f, cfg); }).filter(function (res) {
+        return !ignored(res.file) && !isIgnoredByConfig(project, res.file);
+    }).forEach(function (res) {
+        fileCfgs.push(configForFile(project, res.file, cfg));
+        results.length++;
+        settle(results.length - 1, res);
+    });
+
+    var summary = { passed: passed, failed: failed, results: results };
+
+    if (errored > 0) {
+        summary.errored = errored;
+    }
+
+    if (imports) {
+        summary.imports = remote ? relabelGraph(imports.graph, remote.urls) : imports.graph;
+    }
+
+    if (cacheDir) {
+        summary.cached = cached;
+
+        if (!isQuiet(cfg) && cached > 0) {
+            console.log('');
+            console.log(chalk.dim('  ' + cached + ' of ' + files.length + ' results from cache'));
+        }
+    }
+
+    if (cfg.writeBaseline) {
+        var written = writeBaseline(cfg.writeBaseline, rawResults, sources);
+        if (!isQuiet(cfg)) {
+            console.log('');
+            console.log(chalk.cyan('  wrote ' + written + ' issues to baseline ' + cfg.writeBaseline));
+        }
+    }
+
+    if (baseline) {
+        summary.fixed = fixedBaselineEntries(baseline, names);
+
+        if (!isQuiet(cfg) && summary.fixed.length > 0) {
+            console.log('');
+            console.log(chalk.green('  ✔ ' + summary.fixed.length + ' baseline issues fixed, update it with --write-baseline'));
+            summary.fixed.forEach(function (f) {
+                console.log(chalk.dim('      ' + f.file + ' - ' + f.msg));
+            });
+        }
+    }
+
+    if (!isQuiet(cfg)) {
+        console.log('');
+    }
+
+    if (cfg.emitter) {
+        cfg.emitter.emit('done', summary);
+    }
+
+    return summary;
+}
+
+/**
+ * Report a result for a fetched copy under its url
+ * @param {object} res - file result
+ * @param {Object<string,string>} urls - url behind each fetched file
+ * @returns {object} - returns a copy with file, importedBy and imported files named by url
+ */
+function relabelResult(res, urls) {
+    function name(f) { return urls[f] || f; }
+
+    var out = Object.assign({}, res, { file: name(res.file) });
+
+    if (res.importedBy) {
+        out.importedBy = res.importedBy.map(name);
+    }
+
+    if (res.imported) {
+        out.imported = res.imported.map(function (imp) { return Object.assign({}, imp, { file: name(imp.file) }); });
+    }
+
+    return out;
+}
+
+/**
+ * Name fetched copies in an import graph by url
+ * @param {Object<string,string[]>} graph - direct imports per file
+ * @param {Object<string,string>} urls - url behind each fetched file
+ * @returns {Object<string,string[]>} - returns the graph keyed by url where there is one
+ */
+function relabelGraph(graph, urls) {
+    var out = {};
+
+    Object.keys(graph).forEach(function (f) {
+        out[urls[f] || f] = graph[f].map(function (g) { return urls[g] || g; });
+    });
+
+    return out;
+}
+
+/**
+ * Results for @import-ed files that were not validated themselves
+ * Files in the run already report their own issues; the rest get one result each, with issues
+ * seen through several importers listed once.
+ * @param {string[]} files - files validated in this run
+ * @param {Array<{file:string,imported:Array}>} importedFrom - imported issues per importing file
+ * @param {function(string): object} cfgFor - config for an imported file
+ * @returns {Array<object>} - returns file results with an importedBy list
+ */
+function importedResults(files, importedFrom, cfgFor) {
+    var byFile = {};
+    var order = [];
+
+    importedFrom.forEach(function (from) {
+        from.imported.forEach(function (imp) {
+            if (files.indexOf(imp.file) !== -1) {
+                return;
+            }
+
+            if (!byFile[imp.file]) {
+                byFile[imp.file] = { file: imp.file, errors: [], warnings: [], importedBy: [], seen: {} };
+                order.push(imp.file);
+            }
+
+            var entry = byFile[imp.file];
+            if (entry.importedBy.indexOf(from.file) === -1) {
+                entry.importedBy.push(from.file);
+            }
+
+            ['errors', 'warnings'].forEach(function (kind) {
+                imp[kind].forEach(function (issue) {
+                    var k = kind + '|' + issue.line + '|' + issue.col + '|' + issue.msg;
+                    if (!entry.seen[k]) {
+                        entry.seen[k] = true;
+                        entry[kind].push(issue);
+                    }
+                });
+            });
+        });
+    });
+
+    return order.map(function (f) {
+        var entry = byFile[f];
+        var fileCfg = cfgFor(f);
+        var res = toFileResult(f, entry, !fileCfg.errorsOnly && (fileCfg.warningLevel > 0));
+
+        res.importedBy = entry.importedBy;
+        return res;
+    });
+}
+
+/**
+ * Fingerprint an issue by its message and the trimmed source line, so it survives line shifts
+ * @param {string} msg - issue message
+ * @param {string} lineText - source line the issue points at
+ * @returns {string} - returns short hex hash
+ */
+function issueFingerprint(msg, lineText) {
+    return crypto.createHash('sha1')
+        .update(String(msg || '') + '\0' + String(lineText || '').trim())
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * List the baseline entries for one file result
+ * @param {{file:string,errors:Array,warnings:Array}} res - file result
+ * @param {Object<string,string>|null} [sources] - local copy behind each url, to read the lines from
+ * @returns {Array<{severity:string,msg:string,fingerprint:string}>} - returns one entry per issue
+ */
+function baselineEntriesFor(res, sources) {
+    var lines = [];
+    try { lines = fs.readFileSync((sources && sources[res.file]) || res.file, 'utf8').split(/\r?\n/); } catch (e) { }
+
+    function entry(severity, issue) {
+        return { severity: severity, msg: issue.msg, fingerprint: issueFingerprint(issue.msg, lines[(issue.line || 0) - 1]) };
+    }
+
+    return res.errors.map(function (e) { return entry('error', e); })
+        .concat(res.warnings.map(function (w) { return entry('warning', w); }));
+}
+
+/**
+ * Key a file under in a baseline
+ * @param {string} dir - folder the baseline is in
+ * @param {string} file - absolute file path or url
+ * @returns {string} - returns url as is, or path relative to the baseline with forward slashes
+ */
+function baselineKey(dir, file) {
+    return reporters.isUrl(file) ? file : path.relative(dir, file).split(path.sep).join('/');
+}
+
+/**
+ * Write current issues to a baseline file, keyed by path relative to the baseline (urls as they are)
+ * @param {string} file - baseline file path
+ * @param {Array} results - unfiltered file results
+ * @param {Object<string,string>|null} [sources] - local copy behind each url
+ * @returns {number} - returns number of issues written
+ */
+function writeBaseline(file, results, sources) {
+    var dir = path.dirname(path.resolve(file));
+    var out = { version: 1, files: {} };
+    var count = 0;
+
+    results.forEach(function (res) {
+        var entries = baselineEntriesFor(res, sources);
+        var grouped = {};
+        var list = [];
+
+        // identical issues collapse into one entry with a count
+        entries.forEach(function (e) {
+            var key = e.severity + '|' + e.fingerprint;
+            if (!grouped[key]) {
+                grouped[key] = Object.assign({}, e, { count: 0 });
+                list.push(grouped[key]);
+            }
+            grouped[key].count++;
+            count++;
+        });
+
+        if (list.length > 0) {
+            out.files[baselineKey(dir, res.file)] = list;
+        }
+    });
+
+    ensureDir(dir);
+    fs.writeFileSync(file, JSON.stringify(out, null, 2) + '\n', 'utf8');
+
+    return count;
+}
+
+/**
+ * Load a baseline file
+ * @param {string} file - baseline file path
+ * @returns {{dir:string,files:object}} - returns baseline with remaining counts keyed by absolute path
+ */
+function readBaseline(file) {
+    var raw;
+
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        var msg = (e && e.code === 'ENOENT') ? ('baseline not found ' + file) : ('invalid baseline ' + file + ' ' + e.message);
+        throw new errors.W3cValidateCssError(msg, 'EBASELINE');
+    }
+
+    var dir = path.dirname(path.resolve(file));
+    var files = {};
+
+    Object.keys(raw.files || {}).forEach(function (rel) {
+        files[reporters.isUrl(rel) ? rel : path.resolve(dir, rel)] = (raw.files[rel] || []).map(function (e) {
+            return Object.assign({}, e, { remaining: parseInt(e.count, 10) || 1 });
+        });
+    });
+
+    return { dir: dir, files: files };
+}
+
+/**
+ * Drop issues recorded in the baseline from a file result
+ * @param {{file:string,ok:boolean,errors:Array,warnings:Array}} res - file result
+ * @param {object} cfg - validator config for the file
+ * @param {object} baseline - baseline from readBaseline (counts are consumed)
+ * @param {Object<string,string>|null} [sources] - local copy behind each url
+ * @returns {{file:string,ok:boolean,errors:Array,warnings:Array,baselined:number}} - returns filtered result
+ */
+function applyBaseline(res, cfg, baseline, sources) {
+    var known = baseline.files[reporters.isUrl(res.file) ? res.file : path.resolve(res.file)] || [];
+    var entries = baselineEntriesFor(res, sources);
+    var issues = res.errors.concat(res.warnings);
+    var keep = { error: [], warning: [] };
+    var baselined = 0;
+
+    entries.forEach(function (e, i) {
+        for (var k = 0; k < known.length; k++) {
+            if (known[k].remaining > 0 && known[k].severity === e.severity && known[k].fingerprint === e.fingerprint) {
+                known[k].remaining--;
+                baselined++;
+                return;
+            }
+        }
+        keep[e.severity].push(issues[i]);
+    });
+
+    var includeWarnings = !cfg.errorsOnly && (cfg.warningLevel > 0);
+    var out = Object.assign({}, res, { errors: keep.error, warnings: keep.warning, baselined: baselined });
+    out.ok = (out.errors.length === 0 && (!includeWarnings || out.warnings.length === 0));
+
+    if (res.profiles) {
+        out.profiles = profileBreakdown(out, Object.keys(res.profiles), includeWarnings);
+    }
+
+    return out;
+}
+
+/**
+ * List baseline entries no longer reported, for validated or deleted files
+ * @param {object} baseline - baseline after applyBaseline consumed matches
+ * @param {string[]} files - files validated in this run
+ * @returns {Array<{file:string,severity:string,msg:string,fingerprint:string,count:number}>} - returns fixed entries
+ */
+function fixedBaselineEntries(baseline, files) {
+    var fixed = [];
+
+    Object.keys(baseline.files).forEach(function (abs) {
+        // a url outside this run can't be told apart from one that is gone, so only validated urls count
+        if (files.indexOf(abs) === -1 && (reporters.isUrl(abs) || fs.existsSync(abs))) {
+            return;
+        }
+
+        baseline.files[abs].forEach(function (e) {
+            if (e.remaining > 0) {
+                fixed.push({
+                    file: reporters.isUrl(abs) ? abs : (path.relative(process.cwd(), abs) || abs),
+                    severity: e.severity,
+                    msg: e.msg,
+                    fingerprint: e.fingerprint,
+                    count: e.remaining
+                });
+            }
+        });
+    });
+
+    return fixed;
+}
+
+/**
+ * Identify the jar in use by its content
+ * @returns {string} - returns sha256 of the resolved jar (memoized)
+ */
+function jarIdentity() {
+    if (!JAR_HASHES[CURRENT_JAR_PATH]) {
+        JAR_HASHES[CURRENT_JAR_PATH] = crypto.createHash('sha256').update(fs.readFileSync(CURRENT_JAR_PATH)).digest('hex');
+    }
+    return JAR_HASHES[CURRENT_JAR_PATH];
+}
+
+/**
+ * Cache key for a file result: path, content, jar and the options that change the result
+ * @param {string} file - absolute css file path
+ * @param {object} cfg - validator config for the file
+ * @returns {string|null} - returns hex key, or null if the file cannot be read
+ */
+function resultCacheKey(file, cfg) {
+    var content;
+    try { content = fs.readFileSync(file); } catch (e) { return null; }
+
+    var relevant = Object.assign({
+        version: RESULTS_CACHE_VERSION,
+        // relative @imports and source maps resolve from where the file is, not just what it holds
+        file: path.resolve(file),
+        jar: jarIdentity()
+    }, cacheOptions(cfg));
+
+    // mapped positions depend on the map too
+    var map = relevant.sourceMaps ? findSourceMap(file, content.toString('utf8')) : null;
+
+    var hash = crypto.createHash('sha256')
+        .update(JSON.stringify(relevant))
+        .update('\0')
+        .update(content)
+        .update('\0')
+        .update(map ? map.text : '');
+
+    // issues in @import-ed files are part of this result, so their content and config are part of the key
+    importGraph([file]).files.slice(1).forEach(function (imported) {
+        hash.update('\0' + imported + '\0');
+        if (typeof cfg.configFor === 'function') {
+            hash.update(JSON.stringify(cacheOptions(cfg.configFor(imported))) + '\0');
+        }
+        try { hash.update(fs.readFileSync(imported)); } catch (e) { }
+    });
+
+    return hash.digest('hex');
+}
+
+/**
+ * Options that change a cached result
+ * @param {object} cfg - validator config for a file
+ * @returns {object} - returns those options, normalized so equal settings compare equal
+ */
+function cacheOptions(cfg) {
+    return {
+        profile: profilesFor(cfg).join(','),
+        warningLevel: cfg.warningLevel || 0,
+        medium: String(cfg.medium || 'all'),
+        lang: String(cfg.lang || 'en'),
+        vendorExtensions: String(cfg.vendorExtensions || ''),
+        modernSyntax: modernFeatures(cfg.modernSyntax).join(','),
+        showDeprecations: !!cfg.showDeprecations,
+        errorsOnly: !!cfg.errorsOnly,
+        tolerate: (cfg.tolerate || []).slice().sort(),
+        reportUnusedDirectives: !!cfg.reportUnusedDirectives,
+        sourceMaps: cfg.sourceMaps !== false,
+        rules: Object.keys(cfg.rules || {}).sort().map(function (id) { return id + ':' + cfg.rules[id]; })
+    };
+}
+
+/**
+ * Read a cached file result
+ * @param {string} dir - cache folder
+ * @param {string} key - cache key
+ * @param {string} file - file the result belongs to
+ * @returns {object|null} - returns file result or null on a miss
+ */
+function readCachedResult(dir, key, file) {
+    try {
+        return Object.assign({ file: file }, JSON.parse(fs.readFileSync(path.join(dir, key + '.json'), 'utf8')));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Write a file result to the cache (atomic, safe across processes)
+ * @param {string} dir - cache folder
+ * @param {string} key - cache key
+ * @param {object} res - file result
+ * @returns {void}
+ */
+function writeCachedResult(dir, key, res) {
+    var dest = path.join(dir, key + '.json');
+    var tmp = dest + '.' + process.pid + '.part';
+
+    try {
+        ensureDir(dir);
+        fs.writeFileSync(tmp, JSON.stringify(Object.assign({}, res, { file: undefined })), 'utf8');
+        fs.renameSync(tmp, dest);
+    } catch (e) {
+        try { fs.unlinkSync(tmp); } catch (e2) { }
+    }
+}
+
+/**
+ * Default number of files validated at once
+ * @returns {number} - returns worker count based on available cpus
+ */
+function defaultConcurrency() {
+    var cpus = os.cpus();
+    return Math.max(1, (cpus && cpus.length) || 1);
+}
+
+/**
+ * Number of files validated at once for a run
+ * @param {object} cfg - validator config (concurrency)
+ * @returns {number} - returns the configured worker count, or one per cpu when unset
+ */
+function concurrencyFor(cfg) {
+    if (cfg.concurrency === undefined || cfg.concurrency === null || cfg.concurrency === '') {
+        return defaultConcurrency();
+    }
+    if (!/^\d+$/.test(String(cfg.concurrency)) || parseInt(cfg.concurrency, 10) < 1) {
+        throw new errors.W3cValidateCssError('invalid concurrency ' + cfg.concurrency + ' (use a number of files, 1 or more)', 'EUSAGE');
+    }
+    return parseInt(cfg.concurrency, 10);
+}
+
+/**
+ * Run async work over items with at most `limit` in flight
+ * @param {Array} items - work items
+ * @param {number} limit - max concurrent workers
+ * @param {function(*, number): Promise} worker - called with (item, index)
+ * @returns {Promise<void>} - resolves when every item is done, rejects on first failure
+ */
+async function runPool(items, limit, worker) {
+    var next = 0;
+    var lanes = [];
+    var failed = false;
+
+    async function lane() {
+        while (!failed && next < items.length) {
+            var index = next++;
+            try {
+                await worker(items[index], index);
+            } catch (e) {
+                failed = true;
+                throw e;
+            }
+        }
+    }
+
+    for (var i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+        lanes.push(lane());
+    }
+
+    await Promise.all(lanes);
+}
+
+/**
+ * Watch a file or folder and re-validate stylesheets as they change
+ * @param {string} target - file or folder to watch
+ * @param {object} cfg - validator config (cfg.onUpdate(summary) is called after every run)
+ * @returns {Promise<{close:function():void}>} - resolves once the first run is printed
+ */
+async function watch(target, cfg) {
+    cfg = cfg || {};
+
+    var targets = targetList(target);
+
+    if (targets.length !== 1 || glob.hasMagic(targets[0]) || reporters.isUrl(targets[0])) {
+        throw new errors.W3cValidateCssError('watch takes a single file or folder', 'EUSAGE');
+    }
+
+    var root = path.resolve(targets[0]);
+    var rootIsFile = (await fsp.stat(root)).isFile();
+    var project = await loadProjectConfig(target, cfg);
+    var ignored = ignoreFilter(cfg);
+    var quiet = Object.assign({}, cfg, { json: true, baseline: undefined, writeBaseline: undefined, emitter: undefined });
+    var watchers = {};
+    var byFile = {};
+    var queued = {};
+    var timer = null;
+    var running = Promise.resolve();
+    var closed = false;
+
+    /**
+     * Print every known result in file order
+     * @returns {void}
+     */
+    function redraw() {
+        var files = Object.keys(byFile).sort();
+        var summary = { passed: 0, failed: 0, results: [] };
+
+        files.forEach(function (f) {
+            summary.results.push(byFile[f]);
+            if (byFile[f].error) { summary.errored = (summary.errored || 0) + 1; } else if (byFile[f].ok) { summary.passed++; } else { summary.failed++; }
+        });
+
+        if (!isQuiet(cfg)) {
+            if (process.stdout.isTTY) {
+                process.stdout.write('\x1Bc');
+            }
+
+            console.log('');
+            console.log(chalk.bold(chalk.cyan('w3c validating ' + files.length + ' CSS files in ' + target)));
+            console.log('');
+
+            files.forEach(function (f) {
+                printFileResult(byFile[f], configForFile(project, f, cfg), target);
+            });
+
+            console.log('');
+            console.log(chalk.dim('  ' + summary.passed + ' passed, ' + summary.failed + ' failed - watching for changes, ctrl+c to exit'));
+        }
+
+        if (typeof cfg.onUpdate === 'function') {
+            cfg.onUpdate(summary);
+        }
+    }
+
+    /**
+     * Watch one folder (fs.watch is not recursive everywhere, so every folder gets its own)
+     * @param {string} dir - absolute folder path
+     * @returns {void}
+     */
+    function watchDir(dir) {
+        if (watchers[dir] || closed) {
+            return;
+        }
+
+        try {
+            watchers[dir] = fs.watch(dir, function (event, name) {
+                if (name) {
+                    queue(path.join(dir, String(name)));
+                }
+            });
+            watchers[dir].on('error', function () { unwatchDir(dir); });
+        } catch (e) {
+            return;
+        }
+
+        if (!rootIsFile) {
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(function (d) {
+                if (d.isDirectory() && d.name !== 'node_modules' && !ignored(path.join(dir, d.name))) {
+                    watchDir(path.join(dir, d.name));
+                }
+            });
+        }
+    }
+
+    /**
+     * Stop watching a folder and everything below it
+     * @param {string} dir - absolute folder path
+     * @returns {void}
+     */
+    function unwatchDir(dir) {
+        Object.keys(watchers).forEach(function (d) {
+            if (d === dir || d.indexOf(dir + path.sep) === 0) {
+                watchers[d].close();
+                delete watchers[d];
+            }
+        });
+    }
+
+    /**
+     * Collect changed paths and re-validate shortly after the last event
+     * @param {string} abs - changed path
+     * @returns {void}
+     */
+    function queue(abs) {
+        if (rootIsFile && abs !== root) {
+            return;
+        }
+
+        queued[abs] = true;
+        clearTimeout(timer);
+        timer = setTimeout(function () {
+            var changed = Object.keys(queued);
+            queued = {};
+            running = running.then(function () { return revalidate(changed); }).catch(function (err) {
+                if (typeof cfg.onError === 'function') {
+                    cfg.onError(err);
+                }
+                else if (!cfg.silent) {
+                    console.error(chalk.red('error') + ' ' + (err && err.message ? err.message : String(err)));
+                }
+            });
+        }, 100);
+    }
+
+    /**
+     * Re-validate changed or added files, forget removed ones
+     * @param {string[]} changed - absolute paths reported by fs.watch
+     * @returns {Promise<void>} - resolves after the redraw
+     */
+    async function revalidate(changed) {
+        var files = [];
+
+        changed.forEach(function (abs) {
+            var st = null;
+            try { st = fs.statSync(abs); } catch (e) { }
+
+            if (!st) {
+                // removed file or folder
+                Object.keys(byFile).forEach(function (f) {
+                    if (f === abs || f.indexOf(abs + path.sep) === 0) {
+                        delete byFile[f];
+                    }
+                });
+                unwatchDir(abs);
+            }
+            else if (st.isDirectory()) {
+                if (ignored(abs) || path.basename(abs) === 'node_modules') {
+                    return;
+                }
+                watchDir(abs);
+                glob.sync(filePattern(cfg), { cwd: abs, nodir: true, ignore: DEFAULT_IGNORE }).forEach(function (m) {
+                    var f = path.join(abs, m);
+                    if (!ignored(f) && !isIgnoredByConfig(project, f)) {
+                        files.push(f);
+                    }
+                });
+            }
+            else if ((isCssFile(abs) || (isHtmlFile(abs) && (cfg.html || rootIsFile))) && !isIgnoredByConfig(project, abs) && (rootIsFile || !ignored(abs))) {
+                files.push(abs);
+            }
+        });
+
+        if (closed) {
+            return;
+        }
+
+        // the same path as the first run, so changes made together share a jvm
+        if (files.length > 0) {
+            (await validateFiles(target, quiet, project, cfg, files, null)).results.forEach(function (res) {
+                byFile[res.file] = res;
+            });
+        }
+
+        redraw();
+    }
+
+    var first = await validate(target, quiet);
+    first.results.forEach(function (res) { byFile[res.file] = res; });
+
+    watchDir(rootIsFile ? path.dirname(root) : root);
+    redraw();
+
+    return {
+        close: function () {
+            closed = true;
+            clearTimeout(timer);
+            unwatchDir(rootIsFile ? path.dirname(root) : root);
+        }
+    };
+}
+
+/**
+ * Validate a file or folder, reporting progress as events instead of console output
+ * Emits start({target,files}), file(result, index) in file order, done(summary) and error(err).
+ * The returned emitter is also an async iterator over file results.
+ * @param {string} target - file or folder to validate
+ * @param {object} [cfg] - validator config (silent unless cfg.silent === false)
+ * @returns {EventEmitter} - returns emitter, validation starts on the next tick
+ */
+function stream(target, cfg) {
+    var emitter = new EventEmitter();
+    var runCfg = Object.assign({ silent: true }, cfg, { emitter: emitter });
+    var buffered = [];
+    var waiting = [];
+    var finished = false;
+    var failure = null;
+    var attached = false;
+
+    /**
+     * Hand the next iterator step to a waiting reader, or buffer it
+     * @param {object} step - iterator result or rejection marker
+     * @returns {void}
+     */
+    function push(step) {
+        if (waiting.length) {
+            var reader = waiting.shift();
+            if (step.error) { reader.reject(step.error); } else { reader.resolve(step); }
+        }
+        else {
+            buffered.push(step);
+        }
+    }
+
+    emitter[Symbol.asyncIterator] = function () {
+        // listeners are only attached once somebody iterates, so plain emitter use buffers nothing
+        if (!attached) {
+            attached = true;
+            emitter.on('file', function (res) { push({ value: res, done: false }); });
+            emitter.on('done', function () { finished = true; push({ value: undefined, done: true }); });
+            emitter.on('error', function (err) { failure = err; push({ error: err }); });
+        }
+
+        return {
+            next: function () {
+                if (buffered.length) {
+                    var step = buffered.shift();
+                    return step.error ? Promise.reject(step.error) : Promise.resolve(step);
+                }
+                if (failure || finished) {
+                    return failure ? Promise.reject(failure) : Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(function (resolve, reject) {
+                    waiting.push({ resolve: resolve, reject: reject });
+                });
+            },
+            return: function () {
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]: function () { return this; }
+        };
+    };
+
+    setImmediate(function () {
+        validate(target, runCfg).catch(function (err) {
+            // outside the promise chain, so with no 'error' listener it throws like a node stream would
+            process.nextTick(function () { emitter.emit('error', err); });
+        });
+    });
+
+    return emitter;
+}
+
+/**
+ * Validate CSS held in memory
+ * @param {string} css - stylesheet source
+ * @param {object} cfg - validator config (cfg.filename names the result, default stdin.css)
+ * @returns {Promise<{passed:number,failed:number,results:Array}>} - returns summary with one result keyed by filename
+ */
+async function validateString(css, cfg) {
+    cfg = cfg || {};
+
+    await ensureValidator(cfg);
+
+    var name = String(cfg.filename || 'stdin.css');
+    var project = await loadProjectConfig(path.dirname(path.resolve(name)), cfg);
+    var fileCfg = configForFile(project, path.resolve(name), cfg);
+
+    if (!isQuiet(cfg)) {
+        console.log('');
+        console.log(chalk.bold(chalk.cyan('w3c validating ' + name)));
+        console.log('');
+    }
+
+    // the jar only reads uris, so hand it a private temp copy named after the pseudo-file
+    var dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'w3c-validate-css-'));
+    var tmp = path.join(dir, path.basename(name).replace(/\.css$/i, '') + '.css');
+    var res;
+
+    try {
+        await fsp.writeFile(tmp, String(css || ''), 'utf8');
+        res = await validateFileProfiles(tmp, fileCfg);
+    } finally {
+        try { fs.unlinkSync(tmp); } catch (e) { }
+        try { fs.rmdirSync(dir); } catch (e2) { }
+    }
+
+    res.file = name;
+
+    if (!isQuiet(cfg)) {
+        printFileResult(res, fileCfg, name);
+        console.log('');
+    }
+
+    if (res.error) {
+        return { passed: 0, failed: 0, errored: 1, results: [res] };
+    }
+
+    return { passed: res.ok ? 1 : 0, failed: res.ok ? 0 : 1, results: [res] };
+}
+
+/**
+ * Validate CSS held in a buffer
+ * @param {Buffer} buf - stylesheet bytes (utf8)
+ * @param {object} cfg - validator config (cfg.filename names the result, default stdin.css)
+ * @returns {Promise<{passed:number,failed:number,results:Array}>} - returns summary with one result keyed by filename
+ */
+async function validateBuffer(buf, cfg) {
+    return validateString(Buffer.isBuffer(buf) ? buf.toString('utf8') : String(buf || ''), cfg);
+}
+
+/**
+ * Validate several stylesheets held in memory, sharing validator runs the way a folder does
+ * @param {Array<{css:(string|Buffer),filename:string}>} sources - css and the pseudo-file naming each result
+ * @param {object} cfg - validator config, project config is looked up next to the first filename
+ * @returns {Promise<{passed:number,failed:number,results:Array}>} - returns summary with one result per source, in order
+ */
+async function validateStrings(sources, cfg) {
+    cfg = cfg || {};
+
+    await ensureValidator(cfg);
+
+    var names = sources.map(function (s) { return String(s.filename || 'stdin.css'); });
+    var project = await loadProjectConfig(path.dirname(path.resolve(names[0] || 'stdin.css')), cfg);
+
+    // temp copies stand in for the pseudo-files, like fetched urls do
+    var copies = { dir: await fsp.mkdtemp(path.join(os.tmpdir(), 'w3c-validate-css-')), files: [], urls: {}, failed: {} };
+
+    names.forEach(function (name, n) {
+        var tmp = path.join(copies.dir, n + '-' + path.basename(name).replace(/\.css$/i, '') + '.css');
+        copies.files.push(tmp);
+        copies.urls[tmp] = name;
+    });
+
+    try {
+        for (var n = 0; n < sources.length; n++) {
+            var css = sources[n].css;
+            await fsp.writeFile(copies.files[n], Buffer.isBuffer(css) ? css : String(css || ''), 'utf8');
+        }
+
+        // copies never repeat, so caching them would only fill the cache
+        return await validateFiles(names, Object.assign({}, cfg, { cache: false, followImports: false }), project, cfg, copies.files, copies);
+    } finally {
+        try { fs.rmSync(copies.dir, { recursive: true, force: true }); } catch (e) { }
+    }
+}
+
+/**
+ * Run a `cache` subcommand
+ * @param {string} action - info, clear or prefetch
+ * @param {object} cfg - validator config (jar and cache options)
+ * @returns {Promise<void>} - resolves once printed
+ */
+async function cacheCommand(action, cfg) {
+    if (action === 'info') {
+        var info = await cacheInfo(cfg);
+
+        console.log(chalk.bold('cache ') + info.dir);
+        if (info.jars.length === 0) {
+            console.log(chalk.dim('  no jars cached'));
+        }
+        info.jars.forEach(function (j) {
+            console.log('  ' + path.basename(j.file) + chalk.dim(' ' + Math.round(j.size / 1024) + ' KB sha256 ' + j.sha256));
+        });
+        console.log('  ' + info.results.count + ' cached results' + chalk.dim(' ' + Math.round(info.results.size / 1024) + ' KB'));
+        return;
+    }
+
+    if (action === 'clear') {
+        console.log('cleared ' + await clearCache(cfg));
+        return;
+    }
+
+    if (action === 'prefetch') {
+        var jar = await prefetchJar(cfg);
+        console.log(jar.file + chalk.dim(' sha256 ' + jar.sha256));
+        return;
+    }
+
+    throw new errors.W3cValidateCssError('unknown cache command ' + (action || '') + ', use info, clear or prefetch', 'EUSAGE');
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<Buffer>} - resolves piped input
+ */
+function readStdin() {
+    return new Promise(function (resolve, reject) {
+        var chunks = [];
+        process.stdin.on('data', function (d) { chunks.push(Buffer.from(d)); });
+        process.stdin.on('end', function () { resolve(Buffer.concat(chunks)); });
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Validate file and produce result object
+ * @param {string} file - css file path (html pages are validated through their inline css)
+ * @param {object} cfg - validator config
+ * @returns {Promise<{file:string,ok:boolean,errors:Array,warnings:Array}>} - returns file result
+ */
+async function validateFileRaw(file, cfg) {
+    if (isHtmlFile(file)) {
+        return validateHtmlFile(file, cfg);
+    }
+
+    if (modernFeatures(cfg.modernSyntax).length > 0) {
+        return (await withModernSyntax([file], [cfg], async function (paths) {
+            return [await validateFileRaw(paths[0], Object.assign({}, cfg, { modernSyntax: false }))];
+        }))[0];
+    }
+
+    var proc = await runValidator(file, cfg);
+    var includeWarnings = !cfg.errorsOnly && (cfg.warningLevel > 0);
+    var issues;
+
+    // a file the validator could not process is a result of its own, not the end of the run
+    try {
+        issues = parseIssues(proc, file, includeWarnings, !!cfg.showDeprecations, cfg);
+    } catch (e) {
+        if (!(e instanceof errors.W3cValidateCssError)) {
+            throw e;
+        }
+        return failedFileResult(file, e);
+    }
+
+    return toFileResult(file, issues, includeWarnings);
+}
+
+/**
+ * Result for a file the validator could not process
+ * @param {string} file - absolute file path
+ * @param {Error} err - why it failed
+ * @returns {{file:string,ok:boolean,errors:Array,warnings:Array,error:{code:string,message:string}}} - returns file result
  */
-function parseIssues(proc, file, includeWarnings, includeDeprecations, cfg) {
-    // the validator sometimes prints to stderr; search both
-    var json =
-        safeParseFirstJson(proc.stdout) ||
-        safeParseFirstJson(proc.stderr) ||
-        safeParseFirstJson(String(proc.stdout || '') + String(proc.stderr || ''));
-    if (!json) {
-        throw new Error('validator did not produce JSON output');
+function failedFileResult(file, err) {
+    return {
+        file: file,
+        ok: false,
+        errors: [],
+        warnings: [],
+        error: { code: err.code || 'EVALIDATOROUTPUT', message: err.message }
+    };
+}
+
+/**
+ * Blank out text but keep line breaks, so positions around it do not move
+ * @param {string} s - text to blank
+ * @returns {string} - returns spaces and line breaks of the same length
+ */
+function blankText(s) {
+    return String(s).replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * Rewrite modern css the jar can't parse into something it can, without moving anything:
+ * unwrapped at-rules and nested rules lose their prelude and braces, dropped at-rules and
+ * stubbed selector functions are blanked, so every remaining line and column is unchanged
+ * @param {string} css - stylesheet source
+ * @param {string[]} features - features to shim, see MODERN_FEATURES
+ * @returns {{css:string,notes:Array<{line:number,col:number,msg:string,rule:string}>}} - returns shimmed css and what was stripped
+ */
+function shimModernSyntax(css, features) {
+    var out = css.split('');
+    var notes = [];
+    var stack = [];
+    var start = 0;
+    var i = 0;
+    var c, end, entry, m, name;
+
+    function on(feature) { return features.indexOf(feature) !== -1; }
+
+    function blank(from, to) {
+        for (var k = from; k < to; k++) {
+            if (out[k] !== '\n' && out[k] !== '\r') { out[k] = ' '; }
+        }
     }
-    return parseIssuesFromJson(json, file, includeWarnings, includeDeprecations, cfg);
+
+    function note(at, msg) {
+        var before = css.slice(0, at).split('\n');
+        notes.push({ line: before.length, col: before[before.length - 1].length + 1, msg: msg, rule: 'modern-syntax' });
+    }
+
+    // innermost block that is still a block once unwrapped ones are gone
+    function parentKind() {
+        for (var k = stack.length - 1; k >= 0; k--) {
+            if (stack[k].kind !== 'unwrap') { return stack[k].kind; }
+        }
+        return 'top';
+    }
+
+    // where the statement or prelude that ends at i really starts, past whitespace and comments
+    function statementStart(from) {
+        var r = /\s+|\/\*[\s\S]*?\*\//y;
+        r.lastIndex = from;
+        while (r.exec(css) && r.lastIndex <= i) { from = r.lastIndex; }
+        return from;
+    }
+
+    function closingParen(from) {
+        var depth = 0;
+        for (var k = from; k < css.length; k++) {
+            if (css[k] === '(') { depth++; }
+            else if (css[k] === ')' && --depth === 0) { return k; }
+        }
+        return css.length - 1;
+    }
+
+    // :has(), :where() and :is() become spaces, or a * where the compound would be left empty
+    function stubSelectors(from, to) {
+        var re = new RegExp(':(' + MODERN_SELECTORS.filter(on).join('|') + ')\\(', 'gi');
+        var text = css.slice(0, to);
+        var s, close, prev;
+
+        re.lastIndex = from;
+        while ((s = re.exec(text)) !== null) {
+            close = Math.min(closingParen(s.index + s[0].length - 1), to - 1);
+            prev = s.index > from ? out[s.index - 1] : ' ';
+
+            blank(s.index, close + 1);
+            if (/[\s,>+~(]/.test(prev)) { out[s.index] = '*'; }
+            note(s.index, ':' + s[1].toLowerCase() + '() replaced for validation');
+
+            re.lastIndex = close + 1;
+        }
+    }
+
+    var stubbable = MODERN_SELECTORS.some(on);
+
+    while (i < css.length) {
+        c = css[i];
+
+        if (c === '/' && css[i + 1] === '*') {
+            end = css.indexOf('*/', i + 2);
+            i = end === -1 ? css.length : end + 2;
+            continue;
+        }
+
+        if (c === '"' || c === "'") {
+            for (i++; i < css.length && css[i] !== c && css[i] !== '\n'; i++) {
+                if (css[i] === '\\') { i++; }
+            }
+            i++;
+            continue;
+        }
+
+        if (c === '{') {
+            start = statementStart(start);
+            m = /^@([\w-]+)/.exec(css.slice(start, i));
+            name = m ? m[1].toLowerCase() : '';
+            entry = { kind: m ? 'at' : 'style', start: start };
+
+            if (stack.some(function (e) { return e.kind === 'drop'; })) {
+                entry.kind = 'drop';
+            }
+            else if (m && on(name) && MODERN_UNWRAP.indexOf(name) !== -1) {
+                entry.kind = 'unwrap';
+                note(start, '@' + name + ' unwrapped for validation');
+            }
+            else if (m && on(name) && MODERN_DROP.indexOf(name) !== -1) {
+                entry.kind = 'drop';
+                note(start, '@' + name + ' skipped for validation');
+            }
+            else if (on('nesting') && parentKind() === 'style') {
+                entry.kind = 'unwrap';
+                note(start, (m ? 'nested @' + name : 'nested rule') + ' flattened for validation');
+            }
+            else if (!m && stubbable) {
+                stubSelectors(start, i);
+            }
+
+            if (entry.kind === 'unwrap') { blank(start, i + 1); }
+
+            stack.push(entry);
+            start = i + 1;
+        }
+        else if (c === '}') {
+            entry = stack.pop();
+            if (entry && entry.kind === 'unwrap') { blank(i, i + 1); }
+            if (entry && entry.kind === 'drop') { blank(entry.start, i + 1); }
+            start = i + 1;
+        }
+        else if (c === ';') {
+            start = statementStart(start);
+
+            // @layer a, b; only declares an order
+            if (on('layer') && /^@layer\b/i.test(css.slice(start, i)) && parentKind() !== 'drop') {
+                blank(start, i + 1);
+                note(start, '@layer statement removed for validation');
+            }
+            start = i + 1;
+        }
+
+        i++;
+    }
+
+    return { css: out.join(''), notes: notes };
 }
 
 /**
- * Print one file result
- * @param {{file:string,ok:boolean,errors:Array,warnings:Array}} res - file result
- * @param {object} cfg - validator config
- * @param {string} target - original target path (file or folder)
- * @returns {void} - prints to stdout/stderr
+ * Validate shimmed copies of the files that use modern syntax, reporting against the originals
+ * @param {string[]} files - absolute css file paths
+ * @param {Array<object>} cfgs - config per file
+ * @param {function(string[]): Promise<Array<object>>} run - validates the paths it is given, results in the same order
+ * @returns {Promise<Array<object>>} - resolves with file results in input order
  */
-function printFileResult(res, cfg, target) {
-    var green = chalk.green;
-    var red = chalk.red;
-    var orange = chalk.hex('#FFA500');
-    var dim = chalk.dim;
+async function withModernSyntax(files, cfgs, run) {
+    var shims = files.map(function (file, n) {
+        var features = modernFeatures(cfgs[n].modernSyntax);
+        var source;
 
-    var targetAbs = path.resolve(target);
-    var headerPath = path.relative(targetAbs, res.file) || path.basename(res.file);
-    var clickableRel = path.relative(process.cwd(), res.file) || res.file; // VS Code-friendly
+        if (features.length === 0 || !isCssFile(file)) {
+            return null;
+        }
 
-    if (res.ok) {
-        console.log(green('  ✔ ' + headerPath));
-        return;
+        try { source = fs.readFileSync(file, 'utf8'); } catch (e) { return null; }
+
+        var shim = shimModernSyntax(source, features);
+        if (shim.notes.length === 0) {
+            return null;
+        }
+
+        // the copy lives elsewhere, so relative @imports point at the originals
+        shim.css = absoluteImports(shim.css, file);
+
+        return Object.assign(shim, { source: source });
+    });
+
+    if (!shims.some(Boolean)) {
+        return run(files);
+    }
+
+    var dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'w3c-validate-css-'));
+    var paths = files.map(function (file, n) {
+        return shims[n] ? path.join(dir, n + '-' + path.basename(file)) : file;
+    });
+    var results;
+
+    try {
+        for (var n = 0; n < files.length; n++) {
+            if (shims[n]) {
+                await fsp.writeFile(paths[n], shims[n].css, 'utf8');
+            }
+        }
+
+        results = await run(paths);
+    } finally {
+        paths.forEach(function (f, k) {
+            if (shims[k]) {
+                try { fs.unlinkSync(f); } catch (e) { }
+            }
+        });
+        try { fs.rmdirSync(dir); } catch (e2) { }
+    }
+
+    return results.map(function (res, k) {
+        return shims[k] ? restoreShimmedResult(res, files[k], shims[k], cfgs[k]) : res;
+    });
+}
+
+/**
+ * Point a result for a shimmed copy back at the original file
+ * @param {object} res - file result for the shimmed copy
+ * @param {string} file - original file path
+ * @param {{source:string,notes:Array}} shim - original source and what was stripped
+ * @param {object} cfg - validator config for the file
+ * @returns {object} - returns the result with frames, source maps and notes from the original
+ */
+function restoreShimmedResult(res, file, shim, cfg) {
+    var lines = shim.source.split(/\r?\n/);
+    var issues = res.errors.concat(res.warnings);
+
+    // positions did not move, only the text around them did
+    issues.forEach(function (issue) {
+        var frame = codeFrame(lines, issue.line, issue.col);
+        if (frame) { issue.source = frame; } else { delete issue.source; }
+        delete issue.original;
+    });
+
+    if (cfg.sourceMaps !== false) {
+        mapIssuesToSources(file, shim.source, issues);
     }
 
-    console.log(red('  ✖ ' + headerPath));
+    res.file = file;
+    res.notes = shim.notes;
+
+    return res;
+}
+
+/**
+ * Extract css from an html page as stylesheets that keep every html line and column
+ * @param {string} html - html source
+ * @returns {string[]} - returns one stylesheet per style element, plus one for all style attributes
+ */
+function extractHtmlCss(html) {
+    var base = blankText(html);
+    var parts = [];
+    var m, start, content;
+
+    // hide comments and scripts so markup inside them is not picked up
+    var masked = html
+        .replace(/<!--[\s\S]*?-->/g, blankText)
+        .replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script\s*>)/gi, function (all, open, body, close) {
+            return open + blankText(body) + close;
+        });
+
+    var styleRe = /(<style\b([^>]*)>)([\s\S]*?)<\/style\s*>/gi;
+
+    while ((m = styleRe.exec(masked)) !== null) {
+        var type = m[2].match(/\btype\s*=\s*["']?([^"'\s>]+)/i);
+        if (type && type[1].toLowerCase() !== 'text/css') {
+            continue;
+        }
 
-    var i, e, w, where;
+        start = m.index + m[1].length;
+        content = html.slice(start, start + m[3].length);
+        parts.push(base.slice(0, start) + content + base.slice(start + content.length));
 
-    for (i = 0; i < res.errors.length; i++) {
-        e = res.errors[i];
-        where = clickableRel + ':' + (e.line || 0) + (e.col ? ':' + e.col : '');
-        console.error(red('      ' + dim(where) + ' - ' + e.msg));
+        masked = masked.slice(0, start) + blankText(content) + masked.slice(start + content.length);
     }
 
-    if (!cfg.errorsOnly && (cfg.warningLevel > 0)) {
-        for (i = 0; i < res.warnings.length; i++) {
-            w = res.warnings[i];
-            where = clickableRel + ':' + (w.line || 0) + (w.col ? ':' + w.col : '');
-            console.error(orange('      ' + dim(where) + ' - ' + w.msg));
+    // style="..." becomes *{...} written over the attribute name and quotes
+    var attrs = base.split('');
+    var found = false;
+    var tagRe = /<[a-zA-Z][^\s\/>]*(?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/g;
+    var attrRe = /(\sstyle\s*=\s*)(?:"([^"]*)"|'([^']*)')/gi;
+    var t, a, i, value, valueStart;
+
+    while ((t = tagRe.exec(masked)) !== null) {
+        attrRe.lastIndex = 0;
+
+        while ((a = attrRe.exec(t[0])) !== null) {
+            // either quote may appear inside a value wrapped in the other one
+            value = (a[2] !== undefined) ? a[2] : a[3];
+            valueStart = t.index + a.index + a[1].length + 1;
+
+            attrs[t.index + a.index + 1] = '*';
+            attrs[t.index + a.index + 2] = '{';
+            for (i = 0; i < value.length; i++) {
+                attrs[valueStart + i] = html[valueStart + i];
+            }
+            attrs[valueStart + value.length] = '}';
+            found = true;
         }
     }
+
+    if (found) {
+        parts.push(attrs.join(''));
+    }
+
+    return parts;
 }
 
 /**
- * Validate entry point
- * @param {string} target - file or folder to validate
+ * Validate the inline css of an html page, reporting positions in the page
+ * @param {string} file - absolute html file path
  * @param {object} cfg - validator config
- * @returns {Promise<{passed:number,failed:number,results:Array}>} - returns summary and per-file results
+ * @returns {Promise<{file:string,ok:boolean,errors:Array,warnings:Array}>} - returns one result for the page
  */
-async function validate(target, cfg) {
-    cfg = cfg || {};
+async function validateHtmlFile(file, cfg) {
+    var includeWarnings = !cfg.errorsOnly && (cfg.warningLevel > 0);
+    var html = await fsp.readFile(file, 'utf8');
+    // the blocks are validated from a temp folder, so relative @imports resolve against the page
+    var parts = extractHtmlCss(html).map(function (css) { return absoluteImports(css, file); });
+    var issues = { errors: [], warnings: [] };
 
-    if (!(await hasJava())) {
-        throw new Error('java not found');
+    if (parts.length === 0) {
+        return toFileResult(file, issues, includeWarnings);
     }
 
-    if (!CURRENT_JAR_PATH) {
-        CURRENT_JAR_PATH = await resolveJarPath();
+    // each block is validated on its own so a broken one can't swallow the next
+    var dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'w3c-validate-css-'));
+    var tmpFiles = parts.map(function (p, n) { return path.join(dir, path.basename(file).replace(/\.html?$/i, '') + '-' + n + '.css'); });
+
+    try {
+        for (var n = 0; n < parts.length; n++) {
+            await fsp.writeFile(tmpFiles[n], parts[n], 'utf8');
+        }
+
+        var partResults = (tmpFiles.length > 1)
+            ? await validateFilesBatch(tmpFiles, cfg)
+            : [await validateFileRaw(tmpFiles[0], cfg)];
+
+        partResults.forEach(function (res) {
+            if (res.error && !issues.error) {
+                issues.error = res.error;
+            }
+            issues.errors = issues.errors.concat(res.errors);
+            issues.warnings = issues.warnings.concat(res.warnings);
+            if (res.unusedDirectives) {
+                issues.unusedDirectives = (issues.unusedDirectives || []).concat(res.unusedDirectives);
+            }
+            if (res.notes) {
+                issues.notes = (issues.notes || []).concat(res.notes);
+            }
+            if (res.imported) {
+                issues.imported = (issues.imported || []).concat(res.imported);
+            }
+        });
+    } finally {
+        tmpFiles.forEach(function (f) {
+            try { fs.unlinkSync(f); } catch (e) { }
+        });
+        try { fs.rmdirSync(dir); } catch (e2) { }
     }
 
-    var files = await expandFiles(target);
+    function byPosition(x, y) {
+        return (x.line - y.line) || (x.col - y.col);
+    }
 
-    // print banner (only if not JSON mode)
-    if (!cfg.json) {
-        var cyan = chalk.cyan;
-        var bold = chalk.bold;
-        console.log('');
-        console.log(bold(cyan('w3c validating ' + files.length + ' CSS files in ' + target)));
-        console.log('');
+    issues.errors.sort(byPosition);
+    issues.warnings.sort(byPosition);
+
+    if (issues.error) {
+        return Object.assign(failedFileResult(file, issues.error), { errors: issues.errors, warnings: issues.warnings });
     }
 
-    var results = [];
-    var passed = 0;
-    var failed = 0;
+    // frames from the blanked temp files would be mostly empty, show the page instead
+    var htmlLines = html.split(/\r?\n/);
+    issues.errors.concat(issues.warnings).forEach(function (issue) {
+        var frame = codeFrame(htmlLines, issue.line, issue.col);
+        if (frame) { issue.source = frame; } else { delete issue.source; }
+    });
+
+    return toFileResult(file, issues, includeWarnings);
+}
+
+/**
+ * Validate many files with one jvm per batch, falling back to one process per file
+ * @param {string[]} files - absolute css file paths
+ * @param {object} cfg - validator config (used for the jar args)
+ * @param {Array<object>} [fileCfgs] - per-file config used to parse each result, defaults to cfg
+ * @returns {Promise<Array<{file:string,ok:boolean,errors:Array,warnings:Array}>>} - returns file results in input order
+ */
+async function validateFilesBatch(files, cfg, fileCfgs) {
+    var cfgs = fileCfgs || files.map(function () { return cfg; });
 
-    for (var i = 0; i < files.length; i++) {
-        var res = await validateFileRaw(files[i], cfg);
+    if (cfgs.some(function (c) { return modernFeatures(c.modernSyntax).length > 0; })) {
+        return withModernSyntax(files, cfgs, function (paths) {
+            return validateFilesBatch(paths, cfg, cfgs.map(function (c) { return Object.assign({}, c, { modernSyntax: false }); }));
+        });
+    }
 
-        if (!cfg.json) {
-            printFileResult(res, cfg, target);
+    var size = parseInt(cfg.batchSize, 10) || BATCH_SIZE;
+    var results = [];
+    var i, j, chunk, proc, docs, byFile, json, src, fileCfg, includeWarnings;
+
+    for (i = 0; i < files.length; i += size) {
+        chunk = files.slice(i, i + size);
+        proc = await runValidator(chunk, cfg);
+        docs = parseAllJson(proc.stdout).concat(parseAllJson(proc.stderr));
+        byFile = {};
+
+        for (j = 0; j < docs.length; j++) {
+            src = jsonSourceFile(docs[j]);
+            if (src) {
+                byFile[src] = docs[j];
+            }
         }
 
-        results.push(res);
+        for (j = 0; j < chunk.length; j++) {
+            json = byFile[path.resolve(chunk[j])];
+            fileCfg = fileCfgs ? fileCfgs[i + j] : cfg;
 
-        if (res.ok) {
-            passed++;
-        } else {
-            failed++;
+            // no report for this file (jar crashed or skipped it), validate it on its own
+            if (!json) {
+                results.push(await validateFileRaw(chunk[j], fileCfg));
+                continue;
+            }
+
+            includeWarnings = !fileCfg.errorsOnly && (fileCfg.warningLevel > 0);
+            results.push(toFileResult(chunk[j], parseIssuesFromJson(json, chunk[j], includeWarnings, !!fileCfg.showDeprecations, fileCfg), includeWarnings));
         }
     }
 
-    console.log('');
+    return results;
+}
+
+/**
+ * Profiles a config asks for, e.g. "css3,css21,svg"
+ * @param {object} cfg - validator config
+ * @returns {string[]} - returns one or more profile names
+ */
+function profilesFor(cfg) {
+    var list = Array.isArray(cfg.profile) ? cfg.profile : String(cfg.profile || 'css3').split(/[,\s]+/);
+    list = list.map(function (p) { return String(p).trim().toLowerCase(); }).filter(Boolean);
 
-    return { passed: passed, failed: failed, results: results };
+    return list.length ? list.filter(function (p, i) { return list.indexOf(p) === i; }) : ['css3'];
 }
 
 /**
- * Validate file and produce result object
- * @param {string} file - css file path
+ * Per-profile pass/fail and counts, read from issues tagged with the profiles they apply to
+ * @param {{errors:Array,warnings:Array}} res - merged file result
+ * @param {string[]} profiles - profiles validated
+ * @param {boolean} includeWarnings - warnings count towards failure
+ * @returns {Object<string,{ok:boolean,errors:number,warnings:number}>} - returns breakdown keyed by profile
+ */
+function profileBreakdown(res, profiles, includeWarnings) {
+    var out = {};
+
+    profiles.forEach(function (p) {
+        function applies(issue) { return !issue.profiles || issue.profiles.indexOf(p) !== -1; }
+
+        var e = res.errors.filter(applies).length;
+        var w = res.warnings.filter(applies).length;
+
+        out[p] = { ok: e === 0 && (!includeWarnings || w === 0), errors: e, warnings: w };
+    });
+
+    return out;
+}
+
+/**
+ * Merge one file's results for several profiles, listing issues shared by every profile once
+ * @param {string} file - file the results belong to
+ * @param {string[]} profiles - profiles validated, in order
+ * @param {Object<string,object>} byProfile - file result per profile
+ * @param {boolean} includeWarnings - warnings count towards failure
+ * @returns {object} - returns file result with issues tagged by profile and a profiles breakdown
+ */
+function mergeProfileResults(file, profiles, byProfile, includeWarnings) {
+    /**
+     * Union one list of issues across profiles
+     * @param {string} list - errors, warnings or unusedDirectives
+     * @returns {Array} - returns issues, tagged with profiles unless shared by all
+     */
+    function union(list) {
+        var seen = {};
+        var out = [];
+
+        profiles.forEach(function (p) {
+            (byProfile[p][list] || []).forEach(function (issue) {
+                var k = [issue.line, issue.col, issue.msg].join('|');
+                if (!seen[k]) {
+                    seen[k] = { issue: issue, profiles: [] };
+                    out.push(seen[k]);
+                }
+                if (seen[k].profiles.indexOf(p) === -1) {
+                    seen[k].profiles.push(p);
+                }
+            });
+        });
+
+        return out.map(function (u) {
+            return (u.profiles.length === profiles.length) ? u.issue : Object.assign({}, u.issue, { profiles: u.profiles });
+        }).sort(function (x, y) {
+            return (x.line - y.line) || (x.col - y.col);
+        });
+    }
+
+    var res = { file: file, ok: true, errors: union('errors'), warnings: union('warnings') };
+
+    // a directive is only unused when no profile needed it
+    if (byProfile[profiles[0]].unusedDirectives) {
+        res.unusedDirectives = union('unusedDirectives').filter(function (d) { return !d.profiles; });
+    }
+
+    // the shim strips the same constructs whatever the profile
+    if (byProfile[profiles[0]].notes) {
+        res.notes = byProfile[profiles[0]].notes;
+    }
+
+    res.profiles = profileBreakdown(res, profiles, includeWarnings);
+    res.ok = profiles.every(function (p) { return res.profiles[p].ok; });
+
+    // one profile the validator could not run fails the file
+    profiles.forEach(function (p) {
+        if (byProfile[p].error && !res.error) {
+            res.error = byProfile[p].error;
+            res.ok = false;
+        }
+        if (byProfile[p].error) {
+            res.profiles[p].ok = false;
+        }
+    });
+
+    // imported files get the same treatment, one merged entry per file
+    var imports = {};
+    profiles.forEach(function (p) {
+        (byProfile[p].imported || []).forEach(function (imp) {
+            imports[imp.file] = imports[imp.file] || {};
+            imports[imp.file][p] = imp;
+        });
+    });
+
+    var importedFiles = Object.keys(imports);
+    if (importedFiles.length > 0) {
+        res.imported = importedFiles.map(function (f) {
+            var perProfile = {};
+            profiles.forEach(function (p) { perProfile[p] = imports[f][p] || { file: f, errors: [], warnings: [] }; });
+
+            var merged = mergeProfileResults(f, profiles, perProfile, includeWarnings);
+            return { file: f, errors: merged.errors, warnings: merged.warnings, profiles: merged.profiles };
+        });
+    }
+
+    return res;
+}
+
+/**
+ * Validate one file against every profile its config asks for
+ * @param {string} file - absolute file path
  * @param {object} cfg - validator config
- * @returns {Promise<{file:string,ok:boolean,errors:Array,warnings:Array}>} - returns file result
+ * @returns {Promise<object>} - resolves with file result, merged when there are several profiles
  */
-async function validateFileRaw(file, cfg) {
-    var proc = await runOne(file, cfg);
+async function validateFileProfiles(file, cfg) {
+    var profiles = profilesFor(cfg);
+    var byProfile = {};
 
-    var includeWarnings = !cfg.errorsOnly && (cfg.warningLevel > 0);
-    var issues = parseIssues(proc, file, includeWarnings, !!cfg.showDeprecations, cfg);
+    if (profiles.length === 1) {
+        return validateFileRaw(file, Object.assign({}, cfg, { profile: profiles[0] }));
+    }
+
+    for (var i = 0; i < profiles.length; i++) {
+        byProfile[profiles[i]] = await validateFileRaw(file, Object.assign({}, cfg, { profile: profiles[i] }));
+    }
 
+    return mergeProfileResults(file, profiles, byProfile, !cfg.errorsOnly && (cfg.warningLevel > 0));
+}
+
+/**
+ * Build a file result from parsed issues
+ * @param {string} file - css file path
+ * @param {{errors:Array, warnings:Array}} issues - parsed issues
+ * @param {boolean} includeWarnings - warnings count towards failure
+ * @returns {{file:string,ok:boolean,errors:Array,warnings:Array,unusedDirectives:Array|undefined}} - returns file result
+ */
+function toFileResult(file, issues, includeWarnings) {
     var ok = (issues.errors.length === 0 && (!includeWarnings || issues.warnings.length === 0));
 
-    return {
+    var res = {
         file: file,
         ok: ok,
         errors: issues.errors,
         warnings: issues.warnings
     };
+
+    if (issues.unusedDirectives) {
+        res.unusedDirectives = issues.unusedDirectives;
+    }
+
+    if (issues.imported) {
+        res.imported = issues.imported;
+    }
+
+    if (issues.notes) {
+        res.notes = issues.notes;
+    }
+
+    return res;
+}
+
+/**
+ * Normalize the options that decide whether a run fails
+ * @param {object} cfg - validator config (failOn, maxErrors, maxWarnings)
+ * @returns {{failOn:string,maxErrors:number|undefined,maxWarnings:number|undefined}} - returns policy, warnings only counting against a budget once one is set
+ */
+function exitPolicy(cfg) {
+    var out = {};
+
+    ['maxErrors', 'maxWarnings'].forEach(function (k) {
+        if (cfg[k] === undefined || cfg[k] === null || cfg[k] === '') {
+            return;
+        }
+        if (!/^\d+$/.test(String(cfg[k]))) {
+            throw new errors.W3cValidateCssError('invalid ' + k + ' ' + cfg[k] + ' (use a number of issues, 0 or more)', 'EUSAGE');
+        }
+        out[k] = parseInt(cfg[k], 10);
+    });
+
+    out.failOn = String(cfg.failOn || (out.maxWarnings !== undefined ? 'error' : 'warning')).toLowerCase();
+
+    if (FAIL_ON.indexOf(out.failOn) === -1) {
+        throw new errors.W3cValidateCssError('invalid failOn ' + cfg.failOn + ' (use ' + FAIL_ON.join(', ') + ')', 'EUSAGE');
+    }
+
+    return out;
+}
+
+/**
+ * Issue budgets a run went over
+ * @param {{results:Array}} summary - validation summary
+ * @param {object} cfg - validator config (maxErrors, maxWarnings)
+ * @returns {string[]} - returns one message per budget exceeded
+ */
+function overBudget(summary, cfg) {
+    var policy = exitPolicy(cfg);
+    var counts = { errors: 0, warnings: 0 };
+    var out = [];
+
+    summary.results.forEach(function (res) {
+        counts.errors += res.errors.length;
+        counts.warnings += res.warnings.length;
+    });
+
+    if (policy.maxErrors !== undefined && counts.errors > policy.maxErrors) {
+        out.push(counts.errors + ' errors, more than the ' + policy.maxErrors + ' allowed');
+    }
+    if (policy.maxWarnings !== undefined && counts.warnings > policy.maxWarnings) {
+        out.push(counts.warnings + ' warnings, more than the ' + policy.maxWarnings + ' allowed');
+    }
+
+    return out;
+}
+
+/**
+ * Exit code for a finished run or for what stopped it
+ * @param {object|Error} outcome - validation summary, or the error the run was rejected with
+ * @param {object} [cfg] - validator config (failOn, maxErrors, maxWarnings, writeBaseline)
+ * @returns {number} - returns 0 passed, 1 css failed, 2 tool or environment error, 3 usage error
+ */
+function exitCode(outcome, cfg) {
+    cfg = cfg || {};
+
+    if (outcome instanceof Error) {
+        return USAGE_ERRORS.indexOf(outcome.code) !== -1 ? EXIT_CODES.usage : EXIT_CODES.error;
+    }
+
+    // results are incomplete, whatever the css looks like
+    if (outcome.errored > 0) {
+        return EXIT_CODES.error;
+    }
+
+    // writing a baseline accepts every current issue
+    if (cfg.writeBaseline) {
+        return EXIT_CODES.ok;
+    }
+
+    var policy = exitPolicy(cfg);
+    var failing = outcome.results.some(function (res) {
+        return (policy.failOn !== 'never' && res.errors.length > 0) ||
+            (policy.failOn === 'warning' && res.warnings.length > 0);
+    });
+
+    return (failing || overBudget(outcome, cfg).length > 0) ? EXIT_CODES.invalid : EXIT_CODES.ok;
 }
 
 /* cli vs module */
 if (require.main === module) {
 
+    // null defaults mark flags that were not given, so config files can supply them
     var argv = minimist(process.argv.slice(2), {
-        string: ['target', 'profile', 'warnings', 'tolerate'],
-        boolean: ['deprecations', 'errors-only', 'json'],
-        alias: { t: 'target', p: 'profile', w: 'warnings', d: 'deprecations', e: 'errors-only' },
-        default: { profile: 'css3', warnings: '2', deprecations: false, 'errors-only': false, json: false, tolerate: '' }
+        string: ['target', 'profile', 'warnings', 'tolerate', 'rules', 'medium', 'lang', 'vendor-extensions', 'modern-syntax', 'concurrency', 'stdin-filename', 'ignore', 'ignore-path', 'config', 'format', 'output-file', 'baseline', 'write-baseline', 'cache-location', 'cache-dir', 'jar', 'jar-sha256', 'validator-version', 'timeout', 'java', 'jvm-args', 'max-warnings', 'max-errors', 'fail-on'],
+        boolean: ['deprecations', 'errors-only', 'json', 'stdin', 'report-unused-directives', 'watch', 'source-maps', 'html', 'silent', 'code-frame', 'follow-imports', 'gitignore', 'crawl'],
+        alias: { t: 'target', p: 'profile', w: 'warnings', d: 'deprecations', e: 'errors-only', c: 'config', f: 'format', o: 'output-file' },
+        default: { deprecations: null, 'errors-only': null, 'report-unused-directives': null, 'source-maps': null, 'code-frame': null, gitignore: null, json: false }
     });
 
-    if (!argv.target) {
-        console.error('usage: w3c-validate-css --target <file|folder> [--profile css3] [--warnings 0|1|2] [--deprecations] [--errors-only] [--tolerate "prop,prop2"] [--json]');
-        process.exit(1);
+    var command = argv._[0];
+
+    if (command !== 'cache' && !argv.target && !argv.stdin) {
+        console.error('usage: w3c-validate-css cache info|clear|prefetch [--cache-dir <dir>] [--validator-version <tag>]');
+        console.error('       w3c-validate-css --target <file|folder|glob|url> [--target ...] | --stdin [--crawl] [--ignore <glob>] [--ignore-path <file>] [--gitignore] [--html] [--follow-imports] [--stdin-filename app.css] [--config <file>] [--profile css3] [--warnings 0|1|2] [--deprecations] [--errors-only] [--tolerate "prop,prop2"] [--rules "rule:off|warn|error,..."] [--medium all|screen|print|...] [--lang en|fr|de|...] [--vendor-extensions warn|error] [--modern-syntax [layer,container,has,nesting,...]] [--report-unused-directives] [--no-source-maps] [--code-frame|--no-code-frame] [--concurrency N] [--no-batch] [--format stylish|json|sarif|junit|checkstyle|github|<module>] [--output-file <file>] [--baseline <file>] [--write-baseline <file>] [--cache-location <dir>] [--no-cache] [--jar <file>] [--validator-version <tag>] [--jar-sha256 <hex>] [--cache-dir <dir>] [--java <path>] [--jvm-args="-Xmx512m"] [--timeout <ms>] [--fail-on error|warning|never] [--max-errors N] [--max-warnings N] [--watch] [--json] [--silent]');
+        process.exit(EXIT_CODES.usage);
+    }
+
+    var format = argv.format || (argv.json ? 'json' : 'stylish');
+    var outputFile = argv['output-file'];
+    var reporter;
+
+    try {
+        reporter = reporters.loadReporter(format);
+    } catch (e) {
+        console.error(chalk.red('error') + ' ' + e.message);
+        process.exit(exitCode(e));
     }
 
+    // stylish prints live while files validate; every other format is written once at the end
     var cfg = {
-        profile: argv.profile,
-        warningLevel: parseInt(argv.warnings, 10) || 0,
-        showDeprecations: argv.deprecations,
-        errorsOnly: argv['errors-only'],
-        json: !!argv.json,
-        tolerate: toList(argv.tolerate)
+        defaults: { profile: 'css3', warningLevel: 2 },
+        json: format !== 'stylish' || !!outputFile,
+        batch: argv.batch,
+        concurrency: argv.concurrency,
+        config: argv.config === false ? false : (argv.config || undefined),
+        baseline: argv.baseline || undefined,
+        writeBaseline: argv['write-baseline'] || undefined,
+        html: !!argv.html,
+        silent: !!argv.silent,
+        followImports: !!argv['follow-imports'],
+        crawl: !!argv.crawl,
+        ignore: argv.ignore || undefined,
+        ignorePath: argv['ignore-path'] === false ? false : (argv['ignore-path'] || undefined),
+        cache: argv.cache !== false,
+        cacheLocation: argv['cache-location'] || undefined,
+        cacheDir: argv['cache-dir'] || undefined,
+        jar: argv.jar || undefined,
+        jarSha256: argv['jar-sha256'] || undefined,
+        validatorVersion: argv['validator-version'] || undefined,
+        java: argv.java || undefined,
+        jvmArgs: argv['jvm-args'] || undefined,
+        timeout: parseInt(argv.timeout, 10) || undefined,
+        failOn: argv['fail-on'] || undefined,
+        maxErrors: argv['max-errors'],
+        maxWarnings: argv['max-warnings']
     };
 
-    validate(argv.target, cfg).then(function (summary) {
-        if (argv.json) {
-            try { console.log(JSON.stringify(summary)); }
-            catch (e) { console.error('{"error":"failed to stringify results"}'); }
+    if (argv.profile !== undefined) { cfg.profile = argv.profile; }
+    if (argv.warnings !== undefined) { cfg.warningLevel = parseInt(argv.warnings, 10) || 0; }
+    if (argv.deprecations !== null) { cfg.showDeprecations = argv.deprecations; }
+    if (argv['errors-only'] !== null) { cfg.errorsOnly = argv['errors-only']; }
+    if (argv.tolerate !== undefined) { cfg.tolerate = toList(argv.tolerate); }
+    if (argv.rules !== undefined) { cfg.rules = argv.rules; }
+    if (argv.medium !== undefined) { cfg.medium = argv.medium; }
+    if (argv.lang !== undefined) { cfg.lang = argv.lang; }
+    if (argv['vendor-extensions'] !== undefined) { cfg.vendorExtensions = argv['vendor-extensions']; }
+    if (argv['modern-syntax'] !== undefined) { cfg.modernSyntax = argv['modern-syntax'] || true; }
+    if (argv['source-maps'] !== null) { cfg.sourceMaps = argv['source-maps']; }
+    if (argv['code-frame'] !== null) { cfg.codeFrame = argv['code-frame']; }
+    if (argv.gitignore !== null) { cfg.gitignore = argv.gitignore; }
+    if (argv['report-unused-directives'] !== null) { cfg.reportUnusedDirectives = argv['report-unused-directives']; }
+
+    /**
+     * Write the report for non-live formats
+     * @param {object} summary - validation summary
+     * @returns {Promise<void>} - resolves once written
+     */
+    var writeReport = async function (summary) {
+        if (!cfg.json || (cfg.silent && !outputFile)) {
+            return;
+        }
+
+        var text = await reporter(summary, { cfg: cfg, target: argv.target || cfg.filename, color: !outputFile });
+
+        if (outputFile) {
+            fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+            fs.writeFileSync(outputFile, String(text || '') + '\n', 'utf8');
+        }
+        else if (text) {
+            console.log(text);
         }
-        process.exit(summary.failed > 0 ? 1 : 0);
-    })
-    .catch(function (err) {
+    };
+
+    var fail = function (err) {
         console.error(chalk.red('error') + ' ' + (err && err.message ? err.message : String(err)));
-        process.exit(1);
-    });
+        process.exit(exitCode(err));
+    };
+
+    // a typo in the exit policy or concurrency should not cost a whole run
+    try {
+        exitPolicy(cfg);
+        concurrencyFor(cfg);
+    } catch (e) {
+        fail(e);
+    }
+
+    if (command === 'cache') {
+        cacheCommand(argv._[1], cfg).then(function () { process.exit(0); }).catch(fail);
+    }
+    else if (argv.watch && argv.target) {
+        cfg.onUpdate = function (summary) {
+            writeReport(summary).catch(fail);
+        };
+
+        watch(argv.target, cfg).then(function (watcher) {
+            process.on('SIGINT', function () {
+                watcher.close();
+                console.log('');
+                process.exit(0);
+            });
+        })
+        .catch(fail);
+    }
+    else {
+        var run = argv.stdin
+            ? readStdin().then(function (buf) {
+                cfg.filename = argv['stdin-filename'] || 'stdin.css';
+                return validateBuffer(buf, cfg);
+            })
+            : validate(argv.target, cfg);
+
+        run.then(async function (summary) {
+            await writeReport(summary);
+
+            if (!cfg.silent && !cfg.writeBaseline) {
+                overBudget(summary, cfg).forEach(function (msg) {
+                    console.error(chalk.red('  ✖ ' + msg));
+                });
+            }
+
+            process.exit(exitCode(summary, cfg));
+        })
+        .catch(fail);
+    }
 
 }
 else {
     module.exports = validate;
+    module.exports.validateString = validateString;
+    module.exports.validateBuffer = validateBuffer;
+    module.exports.validateStrings = validateStrings;
+    module.exports.watch = watch;
+    module.exports.stream = stream;
+    module.exports.reporters = reporters.reporters;
+    module.exports.cache = { info: cacheInfo, clear: clearCache, prefetch: prefetchJar };
+    module.exports.exitCode = exitCode;
+    module.exports.W3cValidateCssError = errors.W3cValidateCssError;
+    module.exports.JavaNotFoundError = errors.JavaNotFoundError;
+    module.exports.JarDownloadError = errors.JarDownloadError;
+    module.exports.ValidatorOutputError = errors.ValidatorOutputError;
+    module.exports.ValidatorTimeoutError = errors.ValidatorTimeoutError;
+    module.exports.TargetFetchError = errors.TargetFetchError;
 }
\ No newline at end of file
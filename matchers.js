@@ -0,0 +1,200 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var validateCss = require('./index');
+var errors = require('./errors');
+
+/* same defaults as the cli; pass warningLevel: 0 or errorsOnly: true to let warnings through */
+var DEFAULTS = { profile: 'css3', warningLevel: 2 };
+
+/* checks made in the same tick share one validator run */
+var queue = [];
+var scheduled = false;
+
+/**
+ * Tell a stylesheet path from css source
+ * @param {string} actual - value under test
+ * @returns {boolean} - returns true when it names a .css or .html file rather than holding css
+ */
+function looksLikePath(actual) {
+    return typeof actual === 'string' && !/[{}\n]/.test(actual) && /\.(css|html?)$/i.test(actual.trim());
+}
+
+/**
+ * Validate a file or css string, batched with every other check started before the next tick
+ * @param {string|Buffer} actual - file path or css source
+ * @param {object} [options] - validator options
+ * @returns {Promise<Array<object>>} - resolves with the file result, then results for files it imports
+ */
+function check(actual, options) {
+    return new Promise(function (resolve, reject) {
+        queue.push({ actual: Buffer.isBuffer(actual) ? actual.toString('utf8') : actual, options: options || {}, resolve: resolve, reject: reject });
+
+        if (!scheduled) {
+            scheduled = true;
+            setImmediate(flush);
+        }
+    });
+}
+
+/**
+ * Run everything queued, one validator run per set of options
+ * @returns {Promise<void>} - resolves once every check has settled
+ */
+async function flush() {
+    var jobs = queue;
+    var groups = {};
+    var order = [];
+
+    queue = [];
+    scheduled = false;
+
+    jobs.forEach(function (job) {
+        var key = JSON.stringify(job.options);
+        if (!groups[key]) {
+            groups[key] = [];
+            order.push(key);
+        }
+        groups[key].push(job);
+    });
+
+    for (var i = 0; i < order.length; i++) {
+        await runGroup(groups[order[i]]);
+    }
+}
+
+/**
+ * Validate checks that share options, file paths with one call to the module api and css strings with another
+ * @param {Array<{actual:string,options:object,resolve:function,reject:function}>} jobs - queued checks
+ * @returns {Promise<void>} - resolves once every job has settled
+ */
+async function runGroup(jobs) {
+    var cfg = Object.assign({ defaults: DEFAULTS, concurrency: 1 }, jobs[0].options, { json: true });
+    var files = [];
+    var strings = [];
+
+    jobs.forEach(function (job) {
+        if (looksLikePath(job.actual)) {
+            var file = path.resolve(job.actual.trim());
+
+            // a missing file fails its own check, not the batch
+            if (!fs.existsSync(file)) {
+                job.reject(new errors.W3cValidateCssError('path not found ' + job.actual, 'ETARGET'));
+                return;
+            }
+            files.push({ job: job, name: file });
+        }
+        else if (typeof job.actual !== 'string') {
+            job.reject(new errors.W3cValidateCssError('toBeValidCss expects a file path, css string or buffer', 'EUSAGE'));
+        }
+        else {
+            strings.push({ job: job, name: 'css-' + strings.length + '.css' });
+        }
+    });
+
+    // project config only applies to files, strings have no place in the project to match against
+    if (files.length > 0) {
+        await settle(files, function () {
+            return validateCss(files.map(function (f) { return f.name; }), cfg);
+        });
+    }
+    if (strings.length > 0) {
+        await settle(strings, function () {
+            return validateCss.validateStrings(strings.map(function (s) { return { css: s.job.actual, filename: s.name }; }), Object.assign({}, cfg, { config: false }));
+        });
+    }
+}
+
+/**
+ * Run one validator call and hand each check the results for its file and what it imports
+ * @param {Array<{job:object,name:string}>} checks - queued checks and the file name their results carry
+ * @param {function(): Promise<{results:Array}>} run - validates every check at once
+ * @returns {Promise<void>} - resolves once every check has settled
+ */
+async function settle(checks, run) {
+    try {
+        var summary = await run();
+
+        checks.forEach(function (c) {
+            c.job.resolve(summary.results.filter(function (res) {
+                return res.file === c.name || (res.importedBy || []).indexOf(c.name) !== -1;
+            }));
+        });
+    } catch (e) {
+        checks.forEach(function (c) { c.job.reject(e); });
+    }
+}
+
+/**
+ * Validate and describe the outcome for either polarity of the matcher
+ * @param {string|Buffer} actual - file path or css source
+ * @param {object} [options] - validator options
+ * @returns {Promise<{pass:boolean,message:function(boolean): string}>} - resolves with pass and a message builder taking isNot
+ */
+async function outcome(actual, options) {
+    var results = await check(actual, options);
+    var own = results[0];
+    var name = looksLikePath(actual)
+        ? (path.relative(process.cwd(), path.resolve(String(actual).trim())) || String(actual))
+        : 'css ' + JSON.stringify(String(actual).replace(/\s+/g, ' ').trim().slice(0, 40));
+    var lines = [];
+
+    results.forEach(function (res) {
+        var prefix = (res === own) ? '' : (path.relative(process.cwd(), res.file) || res.file) + ':';
+
+        if (res.error) {
+            lines.push('  ' + prefix + '0 error could not validate: ' + res.error.message);
+        }
+
+        res.errors.map(function (e) { return ['error', e]; }).concat(res.warnings.map(function (w) { return ['warning', w]; })).forEach(function (pair) {
+            var issue = pair[1];
+            lines.push('  ' + prefix + (issue.line || 0) + (issue.col ? ':' + issue.col : '') + ' ' + pair[0] + ' ' + issue.msg + (issue.rule ? ' (' + issue.rule + ')' : ''));
+        });
+    });
+
+    // a file the project config ignores passes, as it would in a cli run
+    var ignored = results.length === 0;
+    var pass = results.every(function (res) { return res.ok && !res.error; });
+
+    return {
+        pass: pass,
+        message: function (isNot) {
+            if (isNot) {
+                return 'Expected ' + name + ' not to be valid CSS, but it ' + (ignored ? 'is ignored by config' : 'passed');
+            }
+            return 'Expected ' + name + ' to be valid CSS, but found ' + lines.length + ' issues:\n' + lines.join('\n');
+        }
+    };
+}
+
+/* jasmine.addAsyncMatchers(require('w3c-validate-css/matchers').jasmine) */
+var jasmineMatchers = {
+    toBeValidCss: function () {
+        return {
+            compare: async function (actual, options) {
+                var r = await outcome(actual, options);
+                return { pass: r.pass, message: r.message(false) };
+            },
+            negativeCompare: async function (actual, options) {
+                var r = await outcome(actual, options);
+                return { pass: !r.pass, message: r.message(true) };
+            }
+        };
+    }
+};
+
+/* expect.extend(require('w3c-validate-css/matchers').jest) */
+var jestMatchers = {
+    toBeValidCss: async function (received, options) {
+        var isNot = !!(this && this.isNot);
+        var r = await outcome(received, options);
+
+        return { pass: r.pass, message: function () { return r.message(isNot); } };
+    }
+};
+
+module.exports = {
+    jasmine: jasmineMatchers,
+    jest: jestMatchers
+};
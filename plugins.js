@@ -0,0 +1,222 @@
+'use strict';
+
+var path = require('path');
+var validateCss = require('./index');
+var errors = require('./errors');
+
+var PLUGIN_NAME = 'w3c-validate-css';
+
+/* same defaults as the cli; a project config file still wins */
+var DEFAULTS = { profile: 'css3', warningLevel: 2 };
+
+/* which validator issues fail the build; plugins only report unless asked */
+var FAIL_ON = ['error', 'warning', 'never'];
+
+/**
+ * Check a bundle file is a stylesheet
+ * @param {string} name - asset or output file name
+ * @returns {boolean} - returns true for .css files, query strings ignored
+ */
+function isCssAsset(name) {
+    return /\.css$/i.test(String(name).split('?')[0]);
+}
+
+/**
+ * Validate emitted stylesheets, splitting issues into the ones that fail the build and the rest
+ * @param {Array<{name:string,file:string,css:string}>} assets - bundle name, path it is written to and its css
+ * @param {object} [options] - validator options, plus failOn: error|warning|never (default never)
+ * @returns {Promise<{errors:Array<{name:string,line:number,col:number,message:string}>,warnings:Array}>} - resolves with issues to report as bundler errors and as warnings
+ */
+async function checkAssets(assets, options) {
+    options = options || {};
+
+    var failOn = String(options.failOn || 'never').toLowerCase();
+    var out = { errors: [], warnings: [] };
+
+    if (FAIL_ON.indexOf(failOn) === -1) {
+        throw new errors.W3cValidateCssError('invalid failOn ' + options.failOn + ' (use ' + FAIL_ON.join(', ') + ')', 'EUSAGE');
+    }
+
+    /**
+     * File an issue as a bundler error or warning
+     * @param {{name:string}} asset - asset the issue is in
+     * @param {{line:number,col:number,msg:string,rule:string}} issue - validator issue
+     * @param {boolean} fails - issue fails the build
+     * @returns {void}
+     */
+    function report(asset, issue, fails) {
+        var where = asset.name + ':' + (issue.line || 0) + (issue.col ? ':' + issue.col : '');
+
+        (fails ? out.errors : out.warnings).push({
+            name: asset.name,
+            line: issue.line || 0,
+            col: issue.col || 0,
+            message: where + ' ' + issue.msg + (issue.rule ? ' (' + issue.rule + ')' : '')
+        });
+    }
+
+    if (assets.length === 0) {
+        return out;
+    }
+
+    // every stylesheet of a build in one call, so they share jvms instead of starting one each
+    var summary = await validateCss.validateStrings(assets.map(function (asset) {
+        return { css: asset.css, filename: asset.file };
+    }), Object.assign({ defaults: DEFAULTS }, options, { json: true }));
+
+    assets.forEach(function (asset, i) {
+        var res = summary.results[i];
+
+        if (res.error) {
+            report(asset, { line: 0, col: 0, msg: 'could not validate: ' + res.error.message, rule: 'validator-error' }, failOn !== 'never');
+        }
+
+        res.errors.forEach(function (issue) { report(asset, issue, failOn !== 'never'); });
+        res.warnings.forEach(function (issue) { report(asset, issue, failOn === 'warning'); });
+    });
+
+    return out;
+}
+
+/**
+ * One message for every issue that fails the build
+ * @param {Array<{message:string}>} list - failing issues
+ * @returns {string} - returns a heading and one line per issue
+ */
+function failureMessage(list) {
+    return PLUGIN_NAME + ' found ' + list.length + ' problems\n' + list.map(function (f) { return '  ' + f.message; }).join('\n');
+}
+
+/**
+ * Webpack 5 plugin validating emitted css assets once they are optimized
+ * @param {object} [options] - validator options, plus failOn: error|warning|never (default never)
+ * @returns {void}
+ */
+function W3cValidateCssWebpackPlugin(options) {
+    this.options = options || {};
+}
+
+/**
+ * Hook into the compiler
+ * @param {object} compiler - webpack compiler
+ * @returns {void}
+ */
+W3cValidateCssWebpackPlugin.prototype.apply = function (compiler) {
+    var options = this.options;
+    var webpack = compiler.webpack;
+
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, function (compilation) {
+        compilation.hooks.processAssets.tapPromise({
+            name: PLUGIN_NAME,
+            stage: webpack.Compilation.PROCESS_ASSETS_STAGE_ANALYSE
+        }, async function (assets) {
+            var outputPath = compilation.outputOptions.path || process.cwd();
+            var list = Object.keys(assets).filter(isCssAsset).map(function (name) {
+                return { name: name, file: path.join(outputPath, name.split('?')[0]), css: String(assets[name].source()) };
+            });
+            var found = await checkAssets(list, options);
+
+            /**
+             * Turn an issue into a webpack error pointing at its asset
+             * @param {{name:string,line:number,col:number,message:string}} issue - reported issue
+             * @returns {Error} - returns WebpackError
+             */
+            function toWebpackError(issue) {
+                var err = new webpack.WebpackError(PLUGIN_NAME + ': ' + issue.message);
+                err.file = issue.name;
+                err.loc = { start: { line: issue.line, column: issue.col } };
+                err.hideStack = true;
+                return err;
+            }
+
+            found.warnings.forEach(function (issue) { compilation.warnings.push(toWebpackError(issue)); });
+            found.errors.forEach(function (issue) { compilation.errors.push(toWebpackError(issue)); });
+        });
+    });
+};
+
+/**
+ * Rollup (and Vite build) plugin validating css assets as the bundle is generated
+ * @param {object} [options] - validator options, plus failOn: error|warning|never (default never)
+ * @returns {{name:string,generateBundle:function}} - returns rollup plugin
+ */
+function rollup(options) {
+    return {
+        name: PLUGIN_NAME,
+
+        /**
+         * Validate css assets in the bundle
+         * @param {{dir:string,file:string}} outputOptions - rollup output options
+         * @param {Object<string,{type:string,fileName:string,source:(string|Uint8Array)}>} bundle - files about to be written
+         * @returns {Promise<void>} - resolves once reported, rejects through this.error when the build should fail
+         */
+        generateBundle: async function (outputOptions, bundle) {
+            var ctx = this;
+            var outDir = outputOptions.dir || path.dirname(outputOptions.file || path.join(process.cwd(), 'bundle.js'));
+            var list = Object.keys(bundle).filter(function (name) {
+                return bundle[name].type === 'asset' && isCssAsset(name);
+            }).map(function (name) {
+                return { name: name, file: path.resolve(outDir, name), css: Buffer.from(bundle[name].source).toString('utf8') };
+            });
+            var found = await checkAssets(list, options);
+
+            found.warnings.forEach(function (issue) {
+                ctx.warn({ message: issue.message, id: issue.name, loc: { file: issue.name, line: issue.line, column: issue.col } });
+            });
+
+            if (found.errors.length > 0) {
+                ctx.error(failureMessage(found.errors));
+            }
+        }
+    };
+}
+
+/**
+ * PostCSS plugin validating the final root, after every other plugin has run
+ * @param {object} [options] - validator options, plus failOn: error|warning|never (default never)
+ * @returns {{postcssPlugin:string,OnceExit:function}} - returns postcss plugin
+ */
+function postcss(options) {
+    return {
+        postcssPlugin: PLUGIN_NAME,
+
+        /**
+         * Validate the stylesheet postcss is about to output
+         * @param {object} root - postcss root
+         * @param {{result:object}} helpers - postcss helpers
+         * @returns {Promise<void>} - resolves once reported, rejects when the build should fail
+         */
+        OnceExit: async function (root, helpers) {
+            var input = root.source && root.source.input;
+            var file = (input && input.file) || path.resolve('postcss.css');
+            var name = path.relative(process.cwd(), file) || file;
+            var found = await checkAssets([{ name: name, file: file, css: root.toString() }], options);
+
+            // attach warnings to the node on their line, when the output still lines up with it
+            found.warnings.forEach(function (issue) {
+                var node = null;
+
+                root.walk(function (n) {
+                    if (!node && n.source && n.source.start && n.source.start.line === issue.line) {
+                        node = n;
+                    }
+                });
+
+                helpers.result.warn(issue.message, node ? { plugin: PLUGIN_NAME, node: node } : { plugin: PLUGIN_NAME });
+            });
+
+            if (found.errors.length > 0) {
+                throw new errors.W3cValidateCssError(failureMessage(found.errors), 'EINVALIDCSS', { plugin: PLUGIN_NAME, file: file });
+            }
+        }
+    };
+}
+postcss.postcss = true;
+
+module.exports = {
+    webpack: function (options) { return new W3cValidateCssWebpackPlugin(options); },
+    W3cValidateCssWebpackPlugin: W3cValidateCssWebpackPlugin,
+    rollup: rollup,
+    vite: rollup,
+    postcss: postcss
+};
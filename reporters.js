@@ -0,0 +1,452 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var chalk = require('chalk');
+
+var pkg = require('./package.json');
+var errors = require('./errors');
+
+var TOOL_NAME = 'w3c-validate-css';
+
+/**
+ * Folder a target is rooted at: the folder itself, a file's folder, or the fixed part of a glob
+ * @param {string} target - file, folder or glob
+ * @returns {string} - returns absolute folder or file path to show paths relative to
+ */
+function targetBase(target) {
+    var parts = String(target || '.').split(/[\\/]/);
+    var n = 0;
+
+    while (n < parts.length && !/[*?[\]{}()!]/.test(parts[n])) {
+        n++;
+    }
+
+    return path.resolve(n === parts.length ? String(target || '.') : (parts.slice(0, n).join('/') || '.'));
+}
+
+/**
+ * Check a target or result file is an http(s) url rather than a path
+ * @param {string} target - target or file
+ * @returns {boolean} - returns true for http:// and https:// urls
+ */
+function isUrl(target) {
+    return /^https?:\/\//i.test(String(target));
+}
+
+/**
+ * Header path for a file: relative to the target when there is one root, relative to cwd otherwise
+ * @param {string} file - absolute file path
+ * @param {string|string[]} target - target(s) as given
+ * @returns {string} - returns display path
+ */
+function headerPathFor(file, target) {
+    var roots = [].concat(target || []);
+
+    if (roots.length !== 1 || isUrl(file)) {
+        return relPath(file);
+    }
+
+    var base = targetBase(roots[0]);
+    try {
+        if (fs.statSync(base).isFile()) { base = path.dirname(base); }
+    } catch (e) { }
+
+    var rel = path.relative(base, file);
+
+    // files pulled in from outside the root (imports) read better from cwd
+    if (rel.split(path.sep)[0] === '..' || path.isAbsolute(rel)) {
+        return relPath(file);
+    }
+
+    return rel || path.basename(file);
+}
+
+/**
+ * Format one file result as console lines
+ * @param {{file:string,ok:boolean,errors:Array,warnings:Array}} res - file result
+ * @param {object} cfg - validator config
+ * @param {string|string[]} target - original target(s): files, folders or globs
+ * @param {object} [colors] - chalk instance, defaults to chalk
+ * @returns {Array<{text:string,error:boolean}>} - returns lines, error lines belong on stderr
+ */
+function formatFileResult(res, cfg, target, colors) {
+    var c = colors || chalk;
+    var green = c.green;
+    var red = c.red;
+    var orange = c.hex('#FFA500');
+    var dim = c.dim;
+    var lines = [];
+
+    cfg = cfg || {};
+
+    var headerPath = headerPathFor(res.file, target);
+    var clickableRel = isUrl(res.file) ? res.file : (path.relative(process.cwd(), res.file) || res.file); // VS Code-friendly
+
+    var i, e, w, n, u, where;
+
+    /**
+     * Location of an issue, preferring the original source from a source map
+     * @param {{line:number,col:number,original:object}} issue - issue
+     * @returns {string} - returns file:line:col
+     */
+    function locate(issue) {
+        var generated = clickableRel + ':' + (issue.line || 0) + (issue.col ? ':' + issue.col : '');
+
+        if (!issue.original) {
+            return generated;
+        }
+
+        var o = issue.original;
+        return (path.relative(process.cwd(), o.file) || o.file) + ':' + o.line + (o.col ? ':' + o.col : '') + ' (' + generated + ')';
+    }
+
+    /**
+     * Add the issue's code frame under it when frames are on
+     * @param {{source:string}} issue - issue
+     * @returns {void}
+     */
+    function pushFrame(issue) {
+        if (!cfg.codeFrame || !issue.source) {
+            return;
+        }
+
+        issue.source.split('\n').forEach(function (text) {
+            lines.push({ text: '        ' + (text.charAt(0) === '>' ? text : dim(text)), error: true });
+        });
+        lines.push({ text: '', error: true });
+    }
+
+    if (res.ok) {
+        lines.push({ text: green('  ✔ ' + headerPath), error: false });
+    }
+    else {
+        lines.push({ text: red('  ✖ ' + headerPath), error: false });
+    }
+
+    if (res.profiles) {
+        lines.push({
+            text: '      ' + Object.keys(res.profiles).map(function (p) {
+                return res.profiles[p].ok ? green(p + ' ✔') : red(p + ' ✖');
+            }).join('  '),
+            error: false
+        });
+    }
+
+    if (res.error) {
+        lines.push({ text: red('      ' + dim(clickableRel) + ' - could not validate: ' + res.error.message), error: true });
+    }
+
+    for (i = 0; i < res.errors.length; i++) {
+        e = res.errors[i];
+        where = locate(e);
+        lines.push({ text: red('      ' + dim(where) + ' - ' + e.msg) + ruleSuffix(e, dim), error: true });
+        pushFrame(e);
+    }
+
+    if (!cfg.errorsOnly && (cfg.warningLevel > 0)) {
+        for (i = 0; i < res.warnings.length; i++) {
+            w = res.warnings[i];
+            where = locate(w);
+            lines.push({ text: orange('      ' + dim(where) + ' - ' + w.msg) + ruleSuffix(w, dim), error: true });
+            pushFrame(w);
+        }
+    }
+
+    for (i = 0; !cfg.errorsOnly && i < (res.notes || []).length; i++) {
+        n = res.notes[i];
+        where = clickableRel + ':' + (n.line || 0) + (n.col ? ':' + n.col : '');
+        lines.push({ text: dim('      ' + where + ' - info: ' + n.msg), error: false });
+    }
+
+    for (i = 0; i < (res.unusedDirectives || []).length; i++) {
+        u = res.unusedDirectives[i];
+        where = clickableRel + ':' + (u.line || 0) + (u.col ? ':' + u.col : '');
+        lines.push({ text: dim('      ' + where + ' - ' + u.msg), error: true });
+    }
+
+    return lines;
+}
+
+/**
+ * Trailing rule id (and the profiles an issue is limited to) for a console line
+ * @param {{rule:string}} issue - issue
+ * @param {function(string): string} dim - chalk style for the suffix
+ * @returns {string} - returns formatted suffix or an empty string
+ */
+function ruleSuffix(issue, dim) {
+    var parts = [];
+    if (issue.rule) { parts.push(issue.rule); }
+    if (issue.profiles) { parts.push('[' + issue.profiles.join(', ') + ']'); }
+    return parts.length ? '  ' + dim(parts.join(' ')) : '';
+}
+
+/**
+ * Path relative to cwd with forward slashes
+ * @param {string} file - file path
+ * @returns {string} - returns portable relative path
+ */
+function relPath(file) {
+    if (isUrl(file)) {
+        return file;
+    }
+
+    return (path.relative(process.cwd(), file) || file).split(path.sep).join('/');
+}
+
+/**
+ * Flatten a file result into issues with a severity (a validator failure counts as an error)
+ * @param {{errors:Array,warnings:Array,error:object}} res - file result
+ * @returns {Array<{severity:string,line:number,col:number,msg:string}>} - returns errors then warnings
+ */
+function issuesOf(res) {
+    var out = [];
+    if (res.error) { out.push({ severity: 'error', line: 0, col: 0, msg: 'could not validate: ' + res.error.message, rule: 'validator-error' }); }
+    (res.errors || []).forEach(function (e) { out.push(Object.assign({ severity: 'error' }, e)); });
+    (res.warnings || []).forEach(function (w) { out.push(Object.assign({ severity: 'warning' }, w)); });
+    return out;
+}
+
+/**
+ * Escape text for xml attributes and content
+ * @param {*} s - raw value
+ * @returns {string} - returns escaped text
+ */
+function xmlEscape(s) {
+    return String(s === undefined || s === null ? '' : s)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Default console output
+ * @param {{passed:number,failed:number,results:Array}} summary - validation summary
+ * @param {{cfg:object,target:(string|string[]),color:boolean}} ctx - reporter context
+ * @returns {string} - returns formatted text
+ */
+function stylish(summary, ctx) {
+    ctx = ctx || {};
+    var c = ctx.color === false ? new chalk.Instance({ level: 0 }) : chalk;
+    var lines = ['', c.bold(c.cyan('w3c validating ' + summary.results.length + ' CSS files in ' + [].concat(ctx.target || '.').join(', '))), ''];
+
+    summary.results.forEach(function (res) {
+        formatFileResult(res, ctx.cfg, ctx.target, c).forEach(function (l) { lines.push(l.text); });
+    });
+
+    lines.push('');
+    return lines.join('\n');
+}
+
+/**
+ * JSON summary
+ * @param {{passed:number,failed:number,results:Array}} summary - validation summary
+ * @returns {string} - returns json text
+ */
+function json(summary) {
+    return JSON.stringify(summary);
+}
+
+/**
+ * SARIF 2.1.0 log for code scanning
+ * @param {{passed:number,failed:number,results:Array}} summary - validation summary
+ * @returns {string} - returns sarif json text
+ */
+function sarif(summary) {
+    var results = [];
+    var rules = {};
+
+    summary.results.forEach(function (res) {
+        issuesOf(res).forEach(function (issue) {
+            var region = { startLine: Math.max(1, issue.line || 1) };
+            if (issue.col) { region.startColumn = issue.col; }
+
+            var ruleId = issue.rule ? 'w3c-css/' + issue.rule : 'w3c-css-' + issue.severity;
+            rules[ruleId] = rules[ruleId] || { id: ruleId, shortDescription: { text: 'W3C CSS validator ' + (issue.rule || issue.severity) } };
+
+            results.push({
+                ruleId: ruleId,
+                level: issue.severity,
+                message: { text: issue.msg },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: relPath(res.file) },
+                        region: region
+                    }
+                }]
+            });
+        });
+    });
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    version: pkg.version,
+                    informationUri: pkg.homepage,
+                    rules: Object.keys(rules).sort().map(function (id) { return rules[id]; })
+                }
+            },
+            results: results
+        }]
+    }, null, 2);
+}
+
+/**
+ * JUnit XML, one testcase per file
+ * @param {{passed:number,failed:number,results:Array}} summary - validation summary
+ * @returns {string} - returns xml text
+ */
+function junit(summary) {
+    var out = [];
+    var errored = summary.results.filter(function (res) { return res.error; }).length;
+
+    out.push('<?xml version="1.0" encoding="UTF-8"?>');
+    out.push('<testsuites name="' + TOOL_NAME + '" tests="' + summary.results.length + '" failures="' + summary.failed + '" errors="' + errored + '">');
+    out.push('  <testsuite name="' + TOOL_NAME + '" tests="' + summary.results.length + '" failures="' + summary.failed + '" errors="' + errored + '">');
+
+    summary.results.forEach(function (res) {
+        var name = xmlEscape(relPath(res.file));
+        var issues = issuesOf(res);
+
+        // a file that was never validated is an error, not a pass
+        if (res.error) {
+            out.push('    <testcase classname="' + TOOL_NAME + '" name="' + name + '">');
+            out.push('      <error message="' + xmlEscape(res.error.message) + '" type="' + xmlEscape(res.error.code || 'error') + '"/>');
+            out.push('    </testcase>');
+            return;
+        }
+
+        if (res.ok) {
+            out.push('    <testcase classname="' + TOOL_NAME + '" name="' + name + '"/>');
+            return;
+        }
+
+        var text = issues.map(function (i) {
+            return relPath(res.file) + ':' + (i.line || 0) + (i.col ? ':' + i.col : '') + ' ' + i.severity + ' - ' + i.msg;
+        }).join('\n');
+
+        out.push('    <testcase classname="' + TOOL_NAME + '" name="' + name + '">');
+        out.push('      <failure message="' + res.errors.length + ' errors, ' + res.warnings.length + ' warnings" type="validation">' + xmlEscape(text) + '</failure>');
+        out.push('    </testcase>');
+    });
+
+    out.push('  </testsuite>');
+    out.push('</testsuites>');
+
+    return out.join('\n');
+}
+
+/**
+ * Checkstyle XML
+ * @param {{passed:number,failed:number,results:Array}} summary - validation summary
+ * @returns {string} - returns xml text
+ */
+function checkstyle(summary) {
+    var out = [];
+
+    out.push('<?xml version="1.0" encoding="utf-8"?>');
+    out.push('<checkstyle version="4.3">');
+
+    summary.results.forEach(function (res) {
+        out.push('  <file name="' + xmlEscape(path.resolve(res.file)) + '">');
+        issuesOf(res).forEach(function (i) {
+            out.push('    <error line="' + (i.line || 0) + '" column="' + (i.col || 0) + '" severity="' + i.severity +
+                '" message="' + xmlEscape(i.msg) + '" source="' + TOOL_NAME + (i.rule ? '.' + i.rule : '') + '"/>');
+        });
+        out.push('  </file>');
+    });
+
+    out.push('</checkstyle>');
+
+    return out.join('\n');
+}
+
+/**
+ * GitHub Actions workflow commands for inline annotations
+ * @param {{passed:number,failed:number,results:Array}} summary - validation summary
+ * @returns {string} - returns one ::error/::warning command per issue
+ */
+function github(summary) {
+    var out = [];
+
+    function data(s) {
+        return String(s).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    }
+
+    function prop(s) {
+        return data(s).replace(/:/g, '%3A').replace(/,/g, '%2C');
+    }
+
+    summary.results.forEach(function (res) {
+        issuesOf(res).forEach(function (i) {
+            var props = ['file=' + prop(relPath(res.file)), 'line=' + Math.max(1, i.line || 1)];
+            if (i.col) { props.push('col=' + i.col); }
+            props.push('title=' + TOOL_NAME);
+
+            out.push('::' + i.severity + ' ' + props.join(',') + '::' + data(i.msg));
+        });
+    });
+
+    return out.join('\n');
+}
+
+var builtIn = {
+    stylish: stylish,
+    json: json,
+    sarif: sarif,
+    junit: junit,
+    checkstyle: checkstyle,
+    github: github
+};
+
+/**
+ * Resolve a reporter by name or module path
+ * @param {string|function} format - built-in name, path to a module exporting function(summary, ctx), or a function
+ * @returns {function(object, object): (string|Promise<string>)} - returns reporter function
+ */
+function loadReporter(format) {
+    if (typeof format === 'function') {
+        return format;
+    }
+
+    var name = String(format || 'stylish');
+
+    if (Object.prototype.hasOwnProperty.call(builtIn, name)) {
+        return builtIn[name];
+    }
+
+    var file = null;
+    var mod;
+    try {
+        file = require.resolve(name, { paths: [process.cwd()] });
+        mod = require(file);
+    } catch (e) {
+        // only a reporter that is not there is unknown, one that fails to load keeps its own error
+        if (!file && e.code === 'MODULE_NOT_FOUND') {
+            throw new errors.W3cValidateCssError('unknown format ' + name, 'EUSAGE');
+        }
+        throw new errors.W3cValidateCssError('reporter ' + name + ' could not be loaded: ' + e.message, 'EUSAGE', { cause: e });
+    }
+
+    if (mod && typeof mod.default === 'function') { mod = mod.default; }
+
+    if (typeof mod !== 'function') {
+        throw new errors.W3cValidateCssError('reporter ' + name + ' does not export a function', 'EUSAGE');
+    }
+
+    return mod;
+}
+
+module.exports = {
+    reporters: builtIn,
+    formatFileResult: formatFileResult,
+    targetBase: targetBase,
+    isUrl: isUrl,
+    loadReporter: loadReporter
+};
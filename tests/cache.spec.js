@@ -0,0 +1,66 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var validateCss = require('../index.js');
+
+describe('w3c-validate-css: jar and cache management', function () {
+
+    function tempDir() {
+        return fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-jar-'));
+    }
+
+    it('should export cache info, clear and prefetch', function () {
+        expect(typeof validateCss.cache.info).toEqual('function');
+        expect(typeof validateCss.cache.clear).toEqual('function');
+        expect(typeof validateCss.cache.prefetch).toEqual('function');
+    });
+
+    it('should describe an empty cache folder', async function () {
+        var dir = tempDir();
+        var info = await validateCss.cache.info({ cacheDir: dir });
+
+        expect(info.dir).toBe(dir);
+        expect(info.jars).toEqual([]);
+        expect(info.results.count).toBe(0);
+    });
+
+    it('should use a local jar and report its checksum', async function () {
+        var dir = tempDir();
+        var jar = path.join(dir, 'local.jar');
+        fs.writeFileSync(jar, Buffer.from('PK\u0003\u0004local'));
+
+        var res = await validateCss.cache.prefetch({ jar: jar });
+
+        expect(res.file).toBe(jar);
+        expect(res.sha256).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should reject a local jar with the wrong checksum', async function () {
+        var dir = tempDir();
+        var jar = path.join(dir, 'local.jar');
+        fs.writeFileSync(jar, Buffer.from('PK\u0003\u0004local'));
+
+        await expectAsync(validateCss.cache.prefetch({ jar: jar, jarSha256: '00' })).toBeRejectedWithError(/checksum mismatch/);
+    });
+
+    it('should reject a local file that is not a jar', async function () {
+        var dir = tempDir();
+        var jar = path.join(dir, 'broken.jar');
+        fs.writeFileSync(jar, 'not a jar');
+
+        await expectAsync(validateCss.cache.prefetch({ jar: jar })).toBeRejectedWithError(/not a usable jar/);
+    });
+
+    it('should clear cached jars and results', async function () {
+        var dir = tempDir();
+        fs.writeFileSync(path.join(dir, 'css-validator.jar'), Buffer.from('PK\u0003\u0004cached'));
+        fs.mkdirSync(path.join(dir, 'results'));
+        fs.writeFileSync(path.join(dir, 'results', 'abc.json'), '{}');
+
+        await validateCss.cache.clear({ cacheDir: dir });
+        var info = await validateCss.cache.info({ cacheDir: dir });
+
+        expect(info.jars).toEqual([]);
+        expect(info.results.count).toBe(0);
+    });
+});
@@ -9,4 +9,66 @@ describe('w3c-validate-css: interface', function () {
     it('should accept (target, options)', function () {
         expect(validateCss.length).toBe(2);
     });
-});
\ No newline at end of file
+
+    it('should export validateString(css, options)', function () {
+        expect(typeof validateCss.validateString).toEqual('function');
+        expect(validateCss.validateString.length).toBe(2);
+    });
+
+    it('should export validateBuffer(buf, options)', function () {
+        expect(typeof validateCss.validateBuffer).toEqual('function');
+        expect(validateCss.validateBuffer.length).toBe(2);
+    });
+
+    it('should export validateStrings(sources, options)', function () {
+        expect(typeof validateCss.validateStrings).toEqual('function');
+        expect(validateCss.validateStrings.length).toBe(2);
+    });
+
+    it('should export watch(target, options)', function () {
+        expect(typeof validateCss.watch).toEqual('function');
+        expect(validateCss.watch.length).toBe(2);
+    });
+
+    it('should export stream(target, options)', function () {
+        expect(typeof validateCss.stream).toEqual('function');
+        expect(validateCss.stream.length).toBe(2);
+    });
+
+    it('should map a run or its error to an exit code', function () {
+        var errorFile = { errors: [{ line: 1, msg: 'x' }], warnings: [] };
+        var warningFile = { errors: [], warnings: [{ line: 1, msg: 'y' }, { line: 2, msg: 'z' }] };
+        var summary = { passed: 0, failed: 1, results: [warningFile] };
+
+        expect(validateCss.exitCode({ passed: 1, failed: 0, results: [{ errors: [], warnings: [] }] })).toBe(0);
+        expect(validateCss.exitCode(summary)).toBe(1);
+        expect(validateCss.exitCode(summary, { failOn: 'error' })).toBe(0);
+        expect(validateCss.exitCode(summary, { maxWarnings: 2 })).toBe(0);
+        expect(validateCss.exitCode(summary, { maxWarnings: 1 })).toBe(1);
+        expect(validateCss.exitCode({ failed: 1, results: [errorFile] }, { failOn: 'never' })).toBe(0);
+        expect(validateCss.exitCode({ failed: 1, results: [errorFile] }, { failOn: 'never', maxErrors: 0 })).toBe(1);
+        expect(validateCss.exitCode({ failed: 0, errored: 1, results: [] })).toBe(2);
+        expect(validateCss.exitCode(new validateCss.JavaNotFoundError())).toBe(2);
+        expect(validateCss.exitCode(new validateCss.W3cValidateCssError('no target given', 'EUSAGE'))).toBe(3);
+        expect(function () { validateCss.exitCode(summary, { failOn: 'info' }); }).toThrowError(/invalid failOn/);
+    });
+
+    it('should export typed errors with stable codes', function () {
+        var notFound = new validateCss.JavaNotFoundError();
+        var download = new validateCss.JarDownloadError('no jar', { urls: ['https://example.com/a.jar'] });
+        var output = new validateCss.ValidatorOutputError('bad output', { stdout: 'x', stderr: 'y', exitCode: 2 });
+
+        expect(notFound instanceof validateCss.W3cValidateCssError).toBe(true);
+        expect(notFound instanceof Error).toBe(true);
+        expect(notFound.code).toBe('EJAVANOTFOUND');
+        expect(notFound.name).toBe('JavaNotFoundError');
+        expect(download.code).toBe('EJARDOWNLOAD');
+        expect(download.urls).toEqual(['https://example.com/a.jar']);
+        expect(output.code).toBe('EVALIDATOROUTPUT');
+        expect(output.stdout).toBe('x');
+        expect(output.stderr).toBe('y');
+        expect(output.exitCode).toBe(2);
+        expect(new validateCss.ValidatorTimeoutError('slow').code).toBe('EVALIDATORTIMEOUT');
+        expect(new validateCss.TargetFetchError('gone', { url: 'http://localhost/a.css', status: 404 }).status).toBe(404);
+    });
+});
@@ -0,0 +1,100 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child = require('child_process');
+var matchers = require('../matchers.js');
+
+describe('w3c-validate-css: test matchers', function () {
+    var skipAll = false;
+    var cssDir = path.join(__dirname, 'css');
+
+    beforeAll(function () {
+        try {
+            var out = child.spawnSync('java', ['-version'], { encoding: 'utf8' });
+            skipAll = !(out.stdout || out.stderr);
+        } catch (e) {
+            skipAll = true;
+        }
+    });
+
+    beforeEach(function () {
+        jasmine.addAsyncMatchers(matchers.jasmine);
+    });
+
+    it('should pass valid css files and strings', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        await Promise.all([
+            expectAsync(path.join(cssDir, 'valid.css')).toBeValidCss({ cache: false }),
+            expectAsync('.a {\n    color: red;\n}\n').toBeValidCss({ cache: false }),
+            expectAsync(path.join(cssDir, 'invalid-value.css')).not.toBeValidCss({ cache: false })
+        ]);
+    });
+
+    it('should list issues with their position when css is invalid', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var result = await matchers.jasmine.toBeValidCss().compare('.a {\n    color: notacolor;\n}\n', { cache: false });
+
+        expect(result.pass).toBe(false);
+        expect(result.message).toMatch(/^Expected css "\.a \{ color: notacolor; \}" to be valid CSS, but found 1 issues:\n {2}2(:\d+)? error .*notacolor.* \(invalid-value\)$/);
+    });
+
+    it('should follow the warning options it is given', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = path.join(cssDir, 'vendor-warning.css');
+
+        await expectAsync(f).not.toBeValidCss({ cache: false });
+        await expectAsync(f).toBeValidCss({ errorsOnly: true, cache: false });
+    });
+
+    it('should work as a jest matcher', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var result = await matchers.jest.toBeValidCss.call({ isNot: true }, path.join(cssDir, 'valid.css'), { cache: false });
+
+        expect(result.pass).toBe(true);
+        expect(result.message()).toBe('Expected ' + path.relative(process.cwd(), path.join(cssDir, 'valid.css')) + ' not to be valid CSS, but it passed');
+    });
+
+    describe('in a project', function () {
+        var root;
+
+        beforeEach(function () {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-matchers-'));
+            fs.writeFileSync(path.join(root, '.w3cvalidatecssrc.json'), JSON.stringify({ errorsOnly: true, ignore: ['legacy.css'] }));
+            fs.writeFileSync(path.join(root, 'app.css'), fs.readFileSync(path.join(cssDir, 'vendor-warning.css')));
+            fs.writeFileSync(path.join(root, 'legacy.css'), '.a { color: notacolor; }\n');
+        });
+
+        afterEach(function () {
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+
+        it('should apply project config to file paths but not to strings checked with them', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var css = fs.readFileSync(path.join(cssDir, 'vendor-warning.css'), 'utf8');
+
+            await Promise.all([
+                expectAsync(path.join(root, 'app.css')).toBeValidCss({ cache: false }),
+                expectAsync(css).not.toBeValidCss({ cache: false })
+            ]);
+        });
+
+        it('should pass a file the project config ignores', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var result = await matchers.jasmine.toBeValidCss().negativeCompare(path.join(root, 'legacy.css'), { cache: false });
+
+            expect(result.pass).toBe(false);
+            expect(result.message).toMatch(/ not to be valid CSS, but it is ignored by config$/);
+        });
+    });
+
+    it('should reject a missing file on its own', async function () {
+        await expectAsync(matchers.jasmine.toBeValidCss().compare(path.join(cssDir, 'missing.css')))
+            .toBeRejectedWith(jasmine.objectContaining({ code: 'ETARGET' }));
+    });
+});
@@ -0,0 +1,109 @@
+var path = require('path');
+var child = require('child_process');
+var plugins = require('../plugins.js');
+
+describe('w3c-validate-css: build plugins', function () {
+    var skipAll = false;
+    var invalid = '.a {\n    color: notacolor;\n}\n';
+    var vendor = '.b {\n    -webkit-text-size-adjust: 100%;\n}\n';
+
+    beforeAll(function () {
+        try {
+            var out = child.spawnSync('java', ['-version'], { encoding: 'utf8' });
+            skipAll = !(out.stdout || out.stderr);
+        } catch (e) {
+            skipAll = true;
+        }
+    });
+
+    /**
+     * Run the webpack plugin against a compilation holding the given assets
+     * @param {Object<string,string>} assets - asset name to source
+     * @param {object} [options] - plugin options
+     * @returns {Promise<{errors:Array,warnings:Array}>} - resolves with the compilation, its errors and warnings filled in
+     */
+    async function runWebpack(assets, options) {
+        var compilation = { outputOptions: { path: path.join(__dirname, 'dist') }, errors: [], warnings: [], hooks: {} };
+        var processAssets;
+        var sources = {};
+
+        Object.keys(assets).forEach(function (name) {
+            sources[name] = { source: function () { return assets[name]; } };
+        });
+
+        compilation.hooks.processAssets = { tapPromise: function (opts, fn) { processAssets = fn; } };
+
+        plugins.webpack(options).apply({
+            webpack: { Compilation: { PROCESS_ASSETS_STAGE_ANALYSE: 4000 }, WebpackError: Error },
+            hooks: { thisCompilation: { tap: function (name, fn) { fn(compilation); } } }
+        });
+
+        await processAssets(sources);
+        return compilation;
+    }
+
+    it('should report webpack css assets as warnings unless asked to fail', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var compilation = await runWebpack({ 'main.css': invalid, 'main.js': 'notacolor' });
+
+        expect(compilation.errors.length).toBe(0);
+        expect(compilation.warnings.length).toBe(1);
+        expect(compilation.warnings[0].file).toBe('main.css');
+        expect(compilation.warnings[0].message).toContain('main.css:2 ');
+
+        compilation = await runWebpack({ 'main.css': invalid }, { failOn: 'error' });
+        expect(compilation.errors.length).toBe(1);
+    });
+
+    it('should fail a rollup build through this.error', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var warned = [];
+        var ctx = {
+            warn: function (w) { warned.push(w); },
+            error: function (msg) { throw new Error(msg); }
+        };
+        var bundle = {
+            'assets/app.css': { type: 'asset', fileName: 'assets/app.css', source: Buffer.from(invalid + vendor) },
+            'app.js': { type: 'chunk', fileName: 'app.js', code: '' }
+        };
+
+        await plugins.rollup().generateBundle.call(ctx, { dir: 'dist' }, bundle);
+        expect(warned.map(function (w) { return w.loc.line; })).toEqual([2, 5]);
+
+        warned = [];
+        await expectAsync(plugins.rollup({ failOn: 'error' }).generateBundle.call(ctx, { dir: 'dist' }, bundle))
+            .toBeRejectedWithError(/found 1 problems\n {2}assets\/app\.css:2 /);
+        expect(warned.length).toBe(1);
+    });
+
+    it('should warn on the postcss node an issue is on', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var decl = { source: { start: { line: 2, column: 5 } } };
+        var root = {
+            source: { input: { file: path.join(__dirname, 'src', 'app.css') } },
+            toString: function () { return invalid; },
+            walk: function (fn) { fn({ source: { start: { line: 1, column: 1 } } }); fn(decl); }
+        };
+        var warnings = [];
+        var result = { warn: function (text, opts) { warnings.push({ text: text, node: opts.node, plugin: opts.plugin }); } };
+        var plugin = plugins.postcss();
+
+        expect(plugins.postcss.postcss).toBe(true);
+
+        await plugin.OnceExit(root, { result: result });
+        expect(warnings.length).toBe(1);
+        expect(warnings[0].node).toBe(decl);
+        expect(warnings[0].plugin).toBe('w3c-validate-css');
+
+        await expectAsync(plugins.postcss({ failOn: 'warning' }).OnceExit(root, { result: result }))
+            .toBeRejectedWith(jasmine.objectContaining({ code: 'EINVALIDCSS' }));
+    });
+
+    it('should reject unknown failOn values', async function () {
+        await expectAsync(plugins.rollup({ failOn: 'sometimes' }).generateBundle.call({}, { dir: 'dist' }, {}))
+            .toBeRejectedWith(jasmine.objectContaining({ code: 'EUSAGE' }));
+    });
+});
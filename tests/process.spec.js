@@ -0,0 +1,219 @@
+var fs = require('fs');
+var os = require('os');
+var child = require('child_process');
+var path = require('path');
+var validateCss = require('../index.js');
+var matchers = require('../matchers.js');
+var plugins = require('../plugins.js');
+
+describe('w3c-validate-css: java process handling', function () {
+    var dir, jar, css;
+
+    /**
+     * Write a stand-in java executable
+     * @param {string} name - file name
+     * @param {string} body - node script run for everything but -version
+     * @param {string} [version] - what -version prints
+     * @returns {string} - returns executable path
+     */
+    function fakeJava(name, body, version) {
+        var file = path.join(dir, name);
+        fs.writeFileSync(file, [
+            '#!' + process.execPath,
+            'var fs = require("fs");',
+            'var args = process.argv.slice(2);',
+            'if (args[0] === "-version") { process.stderr.write(' + JSON.stringify((version || 'openjdk version "17.0.2"') + '\n') + '); process.exit(0); }',
+            'var uris = args.filter(function (a) { return /^file:/.test(a); });',
+            'function report() { uris.forEach(function (u) { process.stdout.write(JSON.stringify({ cssvalidation: { uri: u, errors: [], warnings: [] } }) + "\\n"); }); }',
+            body
+        ].join('\n'));
+        fs.chmodSync(file, 0o755);
+        return file;
+    }
+
+    beforeEach(function () {
+        if (process.platform === 'win32') { pending('posix shebang scripts only'); return; }
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-java-'));
+        jar = path.join(dir, 'css-validator.jar');
+        css = path.join(dir, 'app.css');
+        fs.writeFileSync(jar, Buffer.from('PK\u0003\u0004fake'));
+        fs.writeFileSync(css, '.a { color: red; }\n');
+    });
+
+    afterEach(function () {
+        if (dir) { fs.rmSync(dir, { recursive: true, force: true }); }
+    });
+
+    it('should throw JavaNotFoundError for a missing java binary', async function () {
+        await expectAsync(validateCss(css, { java: path.join(dir, 'nope'), jar: jar, json: true, cache: false }))
+            .toBeRejectedWith(jasmine.any(validateCss.JavaNotFoundError));
+    });
+
+    it('should refuse java older than the validator supports', async function () {
+        var java = fakeJava('java-old', 'report();', 'java version "1.7.0_80"');
+
+        await expectAsync(validateCss(css, { java: java, jar: jar, json: true, cache: false }))
+            .toBeRejectedWith(jasmine.objectContaining({ code: 'EJAVAVERSION', version: 7 }));
+    });
+
+    it('should find java through JAVA_HOME', async function () {
+        var home = path.join(dir, 'jdk');
+        var before = process.env.JAVA_HOME;
+
+        fs.mkdirSync(path.join(home, 'bin'), { recursive: true });
+        fs.renameSync(fakeJava('java', 'report();'), path.join(home, 'bin', 'java'));
+        process.env.JAVA_HOME = home;
+
+        try {
+            var summary = await validateCss(css, { jar: jar, json: true, cache: false });
+            expect(summary.passed).toBe(1);
+        } finally {
+            if (before === undefined) { delete process.env.JAVA_HOME; } else { process.env.JAVA_HOME = before; }
+        }
+    });
+
+    it('should pass jvm args before -jar', async function () {
+        var log = path.join(dir, 'args.log');
+        var java = fakeJava('java-args', 'fs.writeFileSync(' + JSON.stringify(log) + ', args.join(" ")); report();');
+
+        await validateCss(css, { java: java, jar: jar, jvmArgs: '-Xmx256m -Xss4m', json: true, cache: false });
+
+        expect(fs.readFileSync(log, 'utf8').indexOf('-Xmx256m -Xss4m ')).toBe(0);
+    });
+
+    it('should pass the medium with the flag the jar documents', async function () {
+        var log = path.join(dir, 'args.log');
+        var java = fakeJava('java-medium', 'fs.writeFileSync(' + JSON.stringify(log) + ', args.join(" ")); report();');
+
+        await validateCss(css, { java: java, jar: jar, medium: 'print', json: true, cache: false });
+
+        expect(fs.readFileSync(log, 'utf8')).toContain(' -medium print ');
+    });
+
+    it('should kill a hung validator and report the file as errored', async function () {
+        var java = fakeJava('java-hang', 'setTimeout(report, 60000);');
+        var summary = await validateCss(css, { java: java, jar: jar, timeout: 300, json: true, cache: false });
+
+        expect(summary.errored).toBe(1);
+        expect(summary.failed).toBe(0);
+        expect(summary.results[0].ok).toBe(false);
+        expect(summary.results[0].error.code).toBe('EVALIDATORTIMEOUT');
+    });
+
+    it('should retry once when the jvm crashes', async function () {
+        var count = path.join(dir, 'runs');
+        var java = fakeJava('java-flaky', [
+            'var runs = fs.existsSync(' + JSON.stringify(count) + ') ? Number(fs.readFileSync(' + JSON.stringify(count) + ', "utf8")) : 0;',
+            'fs.writeFileSync(' + JSON.stringify(count) + ', String(runs + 1));',
+            'if (runs === 0) { process.stderr.write("Exception in thread main"); process.exit(1); }',
+            'report();'
+        ].join('\n'));
+
+        var summary = await validateCss(css, { java: java, jar: jar, json: true, cache: false });
+
+        expect(summary.passed).toBe(1);
+        expect(fs.readFileSync(count, 'utf8')).toBe('2');
+    });
+
+    it('should exit 1 for invalid css, 2 for a broken environment and 3 for bad usage', function () {
+        var java = fakeJava('java-invalid', 'uris.forEach(function (u) { process.stdout.write(JSON.stringify({ cssvalidation: { uri: u, errors: [{ line: 1, message: "Parse Error" }], warnings: [] } }) + "\\n"); });');
+
+        function cli(args) {
+            return child.spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), '--jar', jar, '--no-cache', '--silent'].concat(args), { encoding: 'utf8' }).status;
+        }
+
+        expect(cli(['--target', css, '--java', java])).toBe(1);
+        expect(cli(['--target', css, '--java', java, '--fail-on', 'never'])).toBe(0);
+        expect(cli(['--target', css, '--java', path.join(dir, 'nope')])).toBe(2);
+        expect(cli(['--target', css, '--java', java, '--fail-on', 'sometimes'])).toBe(3);
+        expect(cli(['--target', path.join(dir, 'missing.css'), '--java', java])).toBe(3);
+        expect(cli(['--target', css, '--java', java, '--concurrency=-1'])).toBe(3);
+    });
+
+    it('should reject a concurrency that is not a positive integer', async function () {
+        var java = fakeJava('java-pool', 'report();');
+
+        for (var value of [-1, 0, 1.5, 'two']) {
+            await expectAsync(validateCss(css, { java: java, jar: jar, json: true, cache: false, concurrency: value }))
+                .toBeRejectedWith(jasmine.objectContaining({ code: 'EUSAGE' }));
+        }
+        expect((await validateCss(css, { java: java, jar: jar, json: true, cache: false, concurrency: '2' })).passed).toBe(1);
+    });
+
+    it('should share one jvm between file checks and one between string checks made together', async function () {
+        var other = path.join(dir, 'other.css');
+        var log = path.join(dir, 'runs.log');
+        var java = fakeJava('java-shared', 'fs.appendFileSync(' + JSON.stringify(log) + ', uris.length + "\\n"); report();');
+        var options = { java: java, jar: jar, cache: false };
+        var toBeValidCss = matchers.jasmine.toBeValidCss();
+
+        fs.writeFileSync(other, '.d { color: black; }\n');
+
+        var results = await Promise.all([
+            toBeValidCss.compare(css, options),
+            toBeValidCss.compare('.b { color: blue; }', options),
+            toBeValidCss.compare(Buffer.from('.c { color: green; }'), options),
+            toBeValidCss.compare(other, options)
+        ]);
+
+        expect(results.map(function (r) { return r.pass; })).toEqual([true, true, true, true]);
+        expect(fs.readFileSync(log, 'utf8')).toBe('2\n2\n');
+    });
+
+    it('should share one jvm between files that change together while watching', async function () {
+        var log = path.join(dir, 'runs.log');
+        var java = fakeJava('java-watch', 'fs.appendFileSync(' + JSON.stringify(log) + ', uris.length + "\\n"); report();');
+        var next = null;
+
+        var watcher = await validateCss.watch(dir, {
+            java: java,
+            jar: jar,
+            json: true,
+            cache: false,
+            concurrency: 1,
+            onUpdate: function (summary) {
+                if (next && summary.results.length === 3) { next(); }
+            }
+        });
+
+        var changed = new Promise(function (resolve) { next = resolve; });
+        fs.writeFileSync(path.join(dir, 'one.css'), '.b { color: blue; }\n');
+        fs.writeFileSync(path.join(dir, 'two.css'), '.c { color: green; }\n');
+        await changed;
+        watcher.close();
+
+        expect(fs.readFileSync(log, 'utf8')).toBe('1\n2\n');
+    });
+
+    it('should share one jvm between the css assets of a bundle', async function () {
+        var log = path.join(dir, 'runs.log');
+        var java = fakeJava('java-bundle', 'fs.appendFileSync(' + JSON.stringify(log) + ', uris.length + "\\n"); report();');
+        var warned = [];
+        var bundle = {
+            'a.css': { type: 'asset', fileName: 'a.css', source: '.a { color: red; }\n' },
+            'b.css': { type: 'asset', fileName: 'b.css', source: '.b { color: blue; }\n' },
+            'c.css': { type: 'asset', fileName: 'c.css', source: Buffer.from('.c { color: green; }\n') }
+        };
+
+        await plugins.rollup({ java: java, jar: jar, concurrency: 1 }).generateBundle.call({ warn: function (w) { warned.push(w); } }, { dir: dir }, bundle);
+
+        expect(warned).toEqual([]);
+        expect(fs.readFileSync(log, 'utf8')).toBe('3\n');
+    });
+
+    it('should keep going when one file cannot be validated', async function () {
+        var other = path.join(dir, 'other.css');
+        var java = fakeJava('java-broken', 'if (args.join(" ").indexOf("other.css") !== -1) { process.exit(1); } report();');
+
+        fs.writeFileSync(other, '.b { color: blue; }\n');
+
+        var summary = await validateCss(dir, { java: java, jar: jar, json: true, cache: false });
+        var broken = summary.results.filter(function (r) { return r.error; });
+
+        expect(summary.passed).toBe(1);
+        expect(summary.errored).toBe(1);
+        expect(broken[0].file).toBe(other);
+        expect(broken[0].error.code).toBe('EVALIDATOROUTPUT');
+    });
+});
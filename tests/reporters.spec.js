@@ -0,0 +1,145 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var validateCss = require('../index.js');
+var reporters = require('../reporters.js');
+
+describe('w3c-validate-css: reporters', function () {
+    var file = path.join(process.cwd(), 'dist', 'app.css');
+
+    var summary = {
+        passed: 1,
+        failed: 1,
+        results: [
+            {
+                file: file,
+                ok: false,
+                errors: [{ line: 14, col: 8, msg: 'Parse Error: Declaration dropped' }],
+                warnings: [{ line: 45, col: 0, msg: 'Unknown pseudo-element, or "pseudo-class" :where()' }]
+            },
+            { file: path.join(process.cwd(), 'dist', 'reset.css'), ok: true, errors: [], warnings: [] }
+        ]
+    };
+
+    it('should expose the built-in reporters', function () {
+        ['stylish', 'json', 'sarif', 'junit', 'checkstyle', 'github'].forEach(function (name) {
+            expect(typeof validateCss.reporters[name]).toEqual('function');
+        });
+    });
+
+    it('should call a format that cannot be found unknown', function () {
+        expect(function () { reporters.loadReporter('./no-such-reporter.js'); })
+            .toThrow(jasmine.objectContaining({ code: 'EUSAGE', message: 'unknown format ./no-such-reporter.js' }));
+    });
+
+    it('should keep the error of a reporter module that fails to load', function () {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-reporter-'));
+        var file = path.join(dir, 'broken.js');
+        var err = null;
+
+        fs.writeFileSync(file, "module.exports = require('no-such-dependency');\n");
+
+        try {
+            reporters.loadReporter(file);
+        } catch (e) {
+            err = e;
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        expect(err.code).toBe('EUSAGE');
+        expect(err.message).toContain('reporter ' + file + ' could not be loaded: ');
+        expect(err.cause.code).toBe('MODULE_NOT_FOUND');
+        expect(err.cause.message).toContain('no-such-dependency');
+    });
+
+    it('should print the json summary unchanged', function () {
+        expect(JSON.parse(validateCss.reporters.json(summary))).toEqual(summary);
+    });
+
+    it('should produce a sarif 2.1.0 log with one result per issue', function () {
+        var log = JSON.parse(validateCss.reporters.sarif(summary));
+        var results = log.runs[0].results;
+
+        expect(log.version).toBe('2.1.0');
+        expect(results.length).toBe(2);
+        expect(results[0].level).toBe('error');
+        expect(results[0].locations[0].physicalLocation.artifactLocation.uri).toBe('dist/app.css');
+        expect(results[0].locations[0].physicalLocation.region).toEqual({ startLine: 14, startColumn: 8 });
+        expect(results[1].level).toBe('warning');
+    });
+
+    it('should use rule ids as sarif rules when issues carry them', function () {
+        var tagged = {
+            passed: 0,
+            failed: 1,
+            results: [{ file: file, ok: false, errors: [{ line: 1, col: 1, msg: 'Parse Error', rule: 'parse-error' }], warnings: [] }]
+        };
+        var run = JSON.parse(validateCss.reporters.sarif(tagged)).runs[0];
+
+        expect(run.results[0].ruleId).toBe('w3c-css/parse-error');
+        expect(run.tool.driver.rules.map(function (r) { return r.id; })).toEqual(['w3c-css/parse-error']);
+    });
+
+    it('should produce junit xml with a failure per failing file', function () {
+        var xml = validateCss.reporters.junit(summary);
+
+        expect(xml).toContain('tests="2" failures="1"');
+        expect(xml).toContain('<testcase classname="w3c-validate-css" name="dist/reset.css"/>');
+        expect((xml.match(/<failure /g) || []).length).toBe(1);
+        expect(xml).toContain('&quot;pseudo-class&quot;');
+    });
+
+    it('should report files that could not be validated as junit errors', function () {
+        var xml = validateCss.reporters.junit({
+            passed: 1,
+            failed: 0,
+            errored: 1,
+            results: [
+                { file: path.join(process.cwd(), 'dist', 'slow.css'), ok: false, errors: [], warnings: [], error: { code: 'EVALIDATORTIMEOUT', message: 'validator timed out after 100ms' } },
+                summary.results[1]
+            ]
+        });
+
+        expect(xml).toContain('tests="2" failures="0" errors="1"');
+        expect(xml).toContain('<error message="validator timed out after 100ms" type="EVALIDATORTIMEOUT"/>');
+        expect(xml).not.toContain('<failure ');
+    });
+
+    it('should produce checkstyle xml', function () {
+        var xml = validateCss.reporters.checkstyle(summary);
+
+        expect(xml).toContain('<file name="' + file + '">');
+        expect(xml).toContain('<error line="14" column="8" severity="error" message="Parse Error: Declaration dropped" source="w3c-validate-css"/>');
+    });
+
+    it('should produce escaped github workflow commands', function () {
+        var lines = validateCss.reporters.github(summary).split('\n');
+
+        expect(lines.length).toBe(2);
+        expect(lines[0]).toBe('::error file=dist/app.css,line=14,col=8,title=w3c-validate-css::Parse Error: Declaration dropped');
+        expect(lines[1]).toBe('::warning file=dist/app.css,line=45,title=w3c-validate-css::Unknown pseudo-element, or "pseudo-class" :where()');
+    });
+
+    it('should render stylish output without colours when asked', function () {
+        var text = validateCss.reporters.stylish(summary, { target: 'dist', cfg: { warningLevel: 2 }, color: false });
+
+        expect(text).toContain('  ✖ app.css');
+        expect(text).toContain('      dist/app.css:14:8 - Parse Error: Declaration dropped');
+        expect(text).toContain('  ✔ reset.css');
+    });
+
+    it('should print code frames under issues when codeFrame is on', function () {
+        var framed = {
+            passed: 0,
+            failed: 1,
+            results: [{ file: file, ok: false, errors: [{ line: 2, col: 10, msg: 'Value Error', source: '  1 | .a {\n> 2 |   color: notacolor;\n    |          ^' }], warnings: [] }]
+        };
+
+        var off = validateCss.reporters.stylish(framed, { target: 'dist', cfg: { warningLevel: 2 }, color: false });
+        var on = validateCss.reporters.stylish(framed, { target: 'dist', cfg: { warningLevel: 2, codeFrame: true }, color: false });
+
+        expect(off).not.toContain('notacolor;');
+        expect(on).toContain('        > 2 |   color: notacolor;\n            |          ^');
+    });
+});
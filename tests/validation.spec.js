@@ -1,5 +1,7 @@
 /* eslint-disable import/extensions */
 var path = require('path');
+var fs = require('fs');
+var os = require('os');
 var child = require('child_process');
 var validateCss = require('../index.js');
 
@@ -140,6 +142,47 @@ describe('w3c-validate-css: module validation (async)', function () {
         expect(res.warnings.length).toBeGreaterThan(0);
     });
 
+    it('should tag issues with stable rule ids and keep the jar type', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = file('mixed.css');
+        var summary = await validateCss(f, { warningLevel: 2, json: true, cache: false });
+        var res = findResult(summary, f);
+
+        expect(res.errors[0].rule).toBe('invalid-value');
+        expect(res.errors[0].type).toBe('value');
+        expect(res.warnings[0].rule).toBe('vendor-extension');
+    });
+
+    it('should promote, demote and silence rules through the rules map', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = file('mixed.css');
+        var off = findResult(await validateCss(f, { warningLevel: 2, json: true, cache: false, rules: { 'vendor-extension': 'off', 'invalid-value': 'warn' } }), f);
+        var promoted = findResult(await validateCss(f, { json: true, cache: false, rules: 'vendor-extension:error' }), f);
+
+        expect(off.errors.length).toBe(0);
+        expect(off.warnings.map(function (w) { return w.rule; })).toEqual(['invalid-value']);
+        expect(promoted.errors.map(function (e) { return e.rule; }).sort()).toEqual(['invalid-value', 'vendor-extension']);
+    });
+
+    it('should reject unknown severities in the rules map', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        await expectAsync(validateCss(file('valid.css'), { json: true, rules: { 'parse-error': 'loud' } }))
+            .toBeRejectedWith(jasmine.objectContaining({ code: 'ECONFIG' }));
+    });
+
+    it('should attach the offending source lines to each issue', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = file('unknown-prop.css');
+        var summary = await validateCss(f, { json: true, cache: false });
+        var res = findResult(summary, f);
+
+        expect(res.errors[0].source).toBe('> 1 | a { foo-bar-baz: 10px; }');
+    });
+
     it('should pass on valid css', async function () {
         if (skipAll) { pending('java not found, skipping'); return; }
 
@@ -151,4 +194,732 @@ describe('w3c-validate-css: module validation (async)', function () {
         expect(res.errors.length).toBe(0);
         expect(res.warnings.length).toBe(0);
     });
-});
\ No newline at end of file
+
+    it('should produce the same results in batch mode as one process per file', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var batched = await validateCss(cssDir, { warningLevel: 2, json: true, cache: false, batch: true });
+        var single = await validateCss(cssDir, { warningLevel: 2, json: true, cache: false, batch: false });
+
+        expect(batched.results.length).toBe(single.results.length);
+        expect(batched.passed).toBe(single.passed);
+        expect(batched.failed).toBe(single.failed);
+        expect(batched.results).toEqual(single.results);
+    });
+
+    it('should keep results in file order regardless of concurrency', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var serial = await validateCss(cssDir, { warningLevel: 2, json: true, cache: false, concurrency: 1 });
+        var parallel = await validateCss(cssDir, { warningLevel: 2, json: true, cache: false, concurrency: 4, batch: false });
+
+        expect(parallel.results.map(function (r) { return r.file; })).toEqual(serial.results.map(function (r) { return r.file; }));
+        expect(parallel.results).toEqual(serial.results);
+    });
+
+    it('should validate css strings under a pseudo filename', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var summary = await validateCss.validateString('.a { color: notacolor; }', { filename: 'app.css', json: true, cache: false });
+
+        expect(summary.failed).toBe(1);
+        expect(summary.results[0].file).toBe('app.css');
+        expect(summary.results[0].errors.length).toBeGreaterThan(0);
+    });
+
+    it('should validate css buffers', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var summary = await validateCss.validateBuffer(Buffer.from('.ok { color: #123456; }'), { warningLevel: 2, json: true, cache: false });
+
+        expect(summary.passed).toBe(1);
+        expect(summary.results[0].file).toBe('stdin.css');
+        expect(summary.results[0].ok).toBe(true);
+    });
+
+    it('should apply config file options, ignore globs and overrides', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var dir = path.join(__dirname, 'config');
+        var summary = await validateCss(dir, { json: true, cache: false });
+        var own = findResult(summary, path.join(dir, 'own.css'));
+        var vendor = findResult(summary, path.join(dir, 'vendor', 'vendor.css'));
+
+        expect(summary.results.length).toBe(2); // ignored/** skipped
+        expect(own.ok).toBe(false); // warnings: 2 from config
+        expect(own.warnings.length).toBeGreaterThan(0);
+        expect(vendor.ok).toBe(true); // errorsOnly override
+    });
+
+    it('should let explicit options win over the config file', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var dir = path.join(__dirname, 'config');
+        var summary = await validateCss(dir, { json: true, cache: false, warningLevel: 0 });
+
+        expect(summary.failed).toBe(0);
+    });
+
+    it('should skip config discovery when config is false', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var dir = path.join(__dirname, 'config');
+        var summary = await validateCss(dir, { json: true, cache: false, config: false });
+
+        expect(summary.results.length).toBe(3);
+    });
+
+    it('should read a js config file again after it changes', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-config-'));
+        var f = path.join(dir, 'app.css');
+        var config = path.join(dir, 'w3c-validate-css.config.js');
+
+        fs.writeFileSync(f, fs.readFileSync(file('vendor-warning.css')));
+        fs.writeFileSync(config, 'module.exports = { warningLevel: 2 };\n');
+        var before = await validateCss(f, { json: true, cache: false });
+
+        fs.writeFileSync(config, 'module.exports = { warningLevel: 2, errorsOnly: true };\n');
+        var after = await validateCss(f, { json: true, cache: false });
+
+        fs.rmSync(dir, { recursive: true, force: true });
+        expect(before.failed).toBe(1);
+        expect(after.failed).toBe(0);
+    });
+
+    it('should honour inline suppression comments', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = file('suppressed.css');
+        var summary = await validateCss(f, { warningLevel: 2, json: true, cache: false });
+        var res = findResult(summary, f);
+
+        expect(res.ok).toBe(true);
+        expect(res.errors.length).toBe(0);
+        expect(res.unusedDirectives).toBeUndefined();
+    });
+
+    it('should report unused suppression comments when asked', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = file('suppressed.css');
+        var summary = await validateCss(f, { warningLevel: 2, reportUnusedDirectives: true, json: true, cache: false });
+        var res = findResult(summary, f);
+
+        expect(res.unusedDirectives.length).toBe(1);
+        expect(res.unusedDirectives[0].line).toBe(6);
+    });
+
+    it('should only report issues missing from a baseline', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = file('mixed.css');
+        var baselineFile = path.join(os.tmpdir(), 'w3c-validate-css-spec-baseline.json');
+
+        await validateCss(f, { warningLevel: 2, json: true, cache: false, writeBaseline: baselineFile });
+        var summary = await validateCss(f, { warningLevel: 2, json: true, cache: false, baseline: baselineFile });
+        var res = findResult(summary, f);
+
+        expect(res.ok).toBe(true);
+        expect(res.errors.length).toBe(0);
+        expect(res.baselined).toBeGreaterThan(0);
+        expect(summary.fixed).toEqual([]);
+    });
+
+    it('should list baseline entries that are now fixed', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var baselineFile = path.join(os.tmpdir(), 'w3c-validate-css-spec-baseline.json');
+
+        await validateCss(file('mixed.css'), { warningLevel: 2, json: true, cache: false, writeBaseline: baselineFile });
+
+        // point the recorded entries at a clean file
+        var raw = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+        raw.files = { 'valid.css': raw.files[Object.keys(raw.files)[0]] };
+        fs.writeFileSync(baselineFile, JSON.stringify(raw));
+
+        var summary = await validateCss(file('valid.css'), { warningLevel: 2, json: true, cache: false, baseline: baselineFile });
+
+        expect(summary.fixed.length).toBeGreaterThan(0);
+    });
+
+    it('should serve unchanged files from the result cache', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var cacheLocation = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-cache-'));
+
+        var first = await validateCss(cssDir, { warningLevel: 2, json: true, cacheLocation: cacheLocation });
+        var second = await validateCss(cssDir, { warningLevel: 2, json: true, cacheLocation: cacheLocation });
+        var uncached = await validateCss(cssDir, { warningLevel: 2, json: true, cache: false });
+
+        expect(first.cached).toBe(0);
+        expect(second.cached).toBe(second.results.length);
+        expect(second.results).toEqual(first.results);
+        expect(uncached.cached).toBeUndefined();
+    });
+
+    it('should not share cached results between identical files in different folders', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var cacheLocation = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-cache-'));
+        var root = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-cache-src-'));
+        var built = ['a', 'b'].map(function (name) {
+            var dist = path.join(root, name, 'dist');
+
+            fs.mkdirSync(dist, { recursive: true });
+            ['app.css', 'app.css.map'].forEach(function (f) {
+                fs.copyFileSync(path.join(__dirname, 'sourcemap', 'dist', f), path.join(dist, f));
+            });
+            return path.join(dist, 'app.css');
+        });
+
+        var first = await validateCss(built[0], { json: true, cacheLocation: cacheLocation });
+        var second = await validateCss(built[1], { json: true, cacheLocation: cacheLocation });
+
+        expect(first.results[0].errors[0].original.file).toBe(path.join(root, 'a', 'src', 'app.scss'));
+        expect(second.cached).toBe(0);
+        expect(second.results[0].errors[0].original.file).toBe(path.join(root, 'b', 'src', 'app.scss'));
+    });
+
+    it('should re-validate files that change while watching', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-watch-'));
+        var f = path.join(dir, 'watched.css');
+        var updates = [];
+        var next = null;
+
+        fs.writeFileSync(f, '.ok { color: #123456; }');
+
+        var watcher = await validateCss.watch(dir, {
+            json: true,
+            cache: false,
+            onUpdate: function (summary) {
+                updates.push(summary);
+                if (next) { next(); }
+            }
+        });
+
+        var changed = new Promise(function (resolve) { next = resolve; });
+        fs.writeFileSync(f, '.a { color: notacolor; }');
+        await changed;
+        watcher.close();
+
+        expect(updates[0].passed).toBe(1);
+        expect(updates[updates.length - 1].failed).toBe(1);
+    });
+
+    it('should keep the per-profile breakdown when re-validating while watching', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-watch-'));
+        var f = path.join(dir, 'watched.css');
+        var updates = [];
+        var next = null;
+
+        fs.writeFileSync(f, '.ok { color: #123456; }');
+
+        var watcher = await validateCss.watch(dir, {
+            json: true,
+            cache: false,
+            profile: ['css3', 'css21'],
+            onUpdate: function (summary) {
+                updates.push(summary);
+                if (next) { next(); }
+            }
+        });
+
+        var changed = new Promise(function (resolve) { next = resolve; });
+        fs.writeFileSync(f, '.a { border-radius: 4px; }');
+        await changed;
+        watcher.close();
+
+        var first = updates[0].results[0];
+        var last = updates[updates.length - 1].results[0];
+
+        expect(Object.keys(first.profiles)).toEqual(['css3', 'css21']);
+        expect(last.profiles.css3.ok).toBe(true);
+        expect(last.profiles.css21.ok).toBe(false);
+        expect(last.errors[0].profiles).toEqual(['css21']);
+    });
+
+    it('should map issues in built css back to the original source', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = path.join(__dirname, 'sourcemap', 'dist', 'app.css');
+        var summary = await validateCss(f, { json: true, cache: false });
+        var res = findResult(summary, f);
+
+        expect(res.errors.length).toBeGreaterThan(0);
+        expect(res.errors[0].line).toBe(2);
+        expect(res.errors[0].original.file).toBe(path.join(__dirname, 'sourcemap', 'src', 'app.scss'));
+        expect(res.errors[0].original.line).toBe(5);
+    });
+
+    it('should skip source maps when sourceMaps=false', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = path.join(__dirname, 'sourcemap', 'dist', 'app.css');
+        var summary = await validateCss(f, { json: true, cache: false, sourceMaps: false });
+        var res = findResult(summary, f);
+
+        expect(res.errors[0].original).toBeUndefined();
+    });
+
+    it('should validate inline css in html pages at html positions', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = path.join(__dirname, 'html', 'page.html');
+        var summary = await validateCss(f, { json: true, cache: false });
+        var res = findResult(summary, f);
+
+        expect(summary.results.length).toBe(1);
+        expect(res.ok).toBe(false);
+        expect(res.errors.map(function (e) { return e.line; })).toEqual([9, 15, 16]); // <style> block and style attributes
+    });
+
+    it('should resolve relative imports in html pages against the page', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var page = path.join(__dirname, 'imports', 'site', 'page.html');
+        var grid = path.join(__dirname, 'imports', 'site', 'partials', 'grid.css');
+        var summary = await validateCss(page, { json: true, cache: false });
+
+        expect(findResult(summary, page).ok).toBe(true);
+        expect(findResult(summary, grid).errors[0].line).toBe(1);
+        expect(findResult(summary, grid).importedBy).toEqual([page]);
+    });
+
+    it('should only pick up html pages in folders when html=true', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var dir = path.join(__dirname, 'html');
+        var without = await validateCss(dir, { json: true, cache: false });
+        var withHtml = await validateCss(dir, { json: true, cache: false, html: true });
+
+        expect(without.results.length).toBe(0);
+        expect(withHtml.results.length).toBe(1);
+    });
+
+    it('should not write to stdout when silent=true', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var log = spyOn(console, 'log');
+        var summary = await validateCss(cssDir, { silent: true, cache: false });
+
+        expect(summary.results.length).toBeGreaterThan(0);
+        expect(log).not.toHaveBeenCalled();
+    });
+
+    it('should emit start, file and done events in file order', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var log = spyOn(console, 'log');
+        var events = [];
+        var files = [];
+        var emitter = validateCss.stream(cssDir, { cache: false });
+
+        emitter.on('start', function (info) { events.push('start'); expect(info.files.length).toBeGreaterThan(0); });
+        emitter.on('file', function (res, index) { events.push('file'); files[index] = res.file; });
+
+        var summary = await new Promise(function (resolve, reject) {
+            emitter.on('done', resolve);
+            emitter.on('error', reject);
+        });
+
+        expect(events[0]).toBe('start');
+        expect(events.length).toBe(summary.results.length + 1);
+        expect(files).toEqual(summary.results.map(function (r) { return r.file; }));
+        expect(log).not.toHaveBeenCalled();
+    });
+
+    it('should iterate file results with for await', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var seen = [];
+
+        for await (var res of validateCss.stream(cssDir, { cache: false })) {
+            seen.push(res.file);
+        }
+
+        expect(seen.length).toBeGreaterThan(0);
+    });
+
+    it('should reject the iterator with a typed error for a missing target', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var caught = null;
+
+        try {
+            for await (var res of validateCss.stream(path.join(__dirname, 'does-not-exist'), {})) { }
+        } catch (e) {
+            caught = e;
+        }
+
+        expect(caught instanceof validateCss.W3cValidateCssError).toBe(true);
+    });
+
+    it('should throw an error nobody listens for, like node streams do', function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var missing = path.join(__dirname, 'does-not-exist');
+        var script = 'require(' + JSON.stringify(path.join(__dirname, '..', 'index.js')) + ').stream(' + JSON.stringify(missing) + ', {});';
+        var out = child.spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 60000 });
+
+        expect(out.status).not.toBe(0);
+        expect(out.stderr).toContain('W3cValidateCssError');
+        expect(out.stderr).toContain(missing);
+    });
+
+    it('should validate several profiles and tag issues that only apply to some', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = path.join(__dirname, 'profiles', 'rounded.css');
+        var summary = await validateCss(f, { profile: 'css3,css21', json: true, cache: false });
+        var res = findResult(summary, f);
+        var rounded = res.errors.filter(function (e) { return e.line === 1; });
+        var shared = res.errors.filter(function (e) { return e.line === 2; });
+
+        expect(res.ok).toBe(false);
+        expect(Object.keys(res.profiles)).toEqual(['css3', 'css21']);
+        expect(res.profiles.css3.errors).toBe(1);
+        expect(res.profiles.css21.errors).toBe(2);
+        expect(rounded.length).toBe(1);
+        expect(rounded[0].profiles).toEqual(['css21']);
+        expect(shared.length).toBe(1); // listed once
+        expect(shared[0].profiles).toBeUndefined();
+    });
+
+    it('should merge profiles for strings too', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var summary = await validateCss.validateString('.a { border-radius: 2px; }', { profile: ['css3', 'css21'], json: true, cache: false });
+        var res = summary.results[0];
+
+        expect(res.profiles.css3.ok).toBe(true);
+        expect(res.profiles.css21.ok).toBe(false);
+        expect(res.ok).toBe(false);
+    });
+
+    it('should tolerate properties in localized messages', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = file('unknown-prop.css');
+        var summary = await validateCss(f, { lang: 'fr', tolerate: ['foo-bar-baz'], warningLevel: 2, json: true, cache: false });
+        var res = findResult(summary, f);
+
+        expect(res.errors.length).toBe(0);
+        expect(res.warnings.length).toBe(1);
+        expect(res.warnings[0].rule).toBe('unknown-property');
+        expect(res.warnings[0].msg).not.toMatch(/:\s*$/);
+    });
+
+    it('should accept a medium and vendor extension handling', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = file('valid.css');
+        var summary = await validateCss(f, { medium: 'print', vendorExtensions: 'warn', json: true, cache: false });
+
+        expect(findResult(summary, f).ok).toBe(true);
+    });
+
+    it('should reject unknown vendor extension handling', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        await expectAsync(validateCss(file('valid.css'), { vendorExtensions: 'loud', json: true }))
+            .toBeRejectedWith(jasmine.objectContaining({ code: 'ECONFIG' }));
+    });
+
+    it('should report issues from imported stylesheets under their own file', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var main = path.join(__dirname, 'imports', 'site', 'main.css');
+        var grid = path.join(__dirname, 'imports', 'site', 'partials', 'grid.css');
+        var summary = await validateCss(main, { json: true, cache: false });
+
+        expect(findResult(summary, main).ok).toBe(true);
+        expect(findResult(summary, grid).ok).toBe(false);
+        expect(findResult(summary, grid).importedBy).toEqual([main]);
+        expect(summary.failed).toBe(2);
+    });
+
+    it('should judge imported stylesheets by their own config overrides', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-imports-'));
+        var app = path.join(dir, 'app.css');
+
+        fs.mkdirSync(path.join(dir, 'vendor'));
+        fs.writeFileSync(path.join(dir, '.w3cvalidatecssrc.json'), JSON.stringify({
+            overrides: [{ files: 'vendor/**/*.css', rules: { 'invalid-value': 'off' } }]
+        }));
+        fs.writeFileSync(app, '@import "vendor/lib.css";\n\n.a {\n    color: red;\n}\n');
+        fs.writeFileSync(path.join(dir, 'vendor', 'lib.css'), '.lib {\n    color: notacolor;\n}\n');
+
+        var summary = await validateCss(app, { json: true, cache: false });
+
+        expect(summary.results.map(function (r) { return r.file; })).toEqual([app]);
+        expect(summary.failed).toBe(0);
+    });
+
+    it('should not repeat imported issues for files already in the run', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var site = path.join(__dirname, 'imports', 'site');
+        var grid = path.join(site, 'partials', 'grid.css');
+        var summary = await validateCss(site, { json: true, cache: false });
+        var grids = summary.results.filter(function (r) { return r.file === grid; });
+
+        expect(grids.length).toBe(1);
+        expect(grids[0].errors.length).toBe(1);
+        expect(grids[0].importedBy).toBeUndefined();
+    });
+
+    it('should follow imports outside the target folder when followImports=true', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var main = path.join(__dirname, 'imports', 'site', 'main.css');
+        var theme = path.join(__dirname, 'imports', 'shared', 'theme.css');
+        var summary = await validateCss(main, { json: true, cache: false, followImports: true });
+
+        expect(summary.imports[main]).toContain(theme);
+        expect(findResult(summary, theme).ok).toBe(false);
+        expect(findResult(summary, theme).importedBy).toBeUndefined(); // validated in its own right
+    });
+
+    it('should shim modern syntax and keep positions when modernSyntax=true', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = path.join(__dirname, 'modern', 'layers.css');
+        var summary = await validateCss(f, { modernSyntax: true, json: true, cache: false });
+        var res = findResult(summary, f);
+
+        expect(res.errors.length).toBe(1);
+        expect(res.errors[0].line).toBe(10);
+        expect(res.errors[0].rule).toBe('invalid-value');
+        expect(res.errors[0].source).toContain('color: notacolor;');
+        expect(res.notes.map(function (n) { return n.line; })).toEqual([1, 3, 4, 8, 18]);
+        expect(res.notes[0].rule).toBe('modern-syntax');
+    });
+
+    it('should only shim the modern syntax features asked for', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = path.join(__dirname, 'modern', 'layers.css');
+        var summary = await validateCss(f, { modernSyntax: 'has,nesting', json: true, cache: false });
+
+        expect(findResult(summary, f).notes.map(function (n) { return n.msg; })).toEqual([
+            ':has() replaced for validation',
+            'nested rule flattened for validation'
+        ]);
+        await expectAsync(validateCss(f, { modernSyntax: 'grid', json: true }))
+            .toBeRejectedWith(jasmine.objectContaining({ code: 'ECONFIG' }));
+    });
+
+    it('should keep issues from relative imports of a shimmed file', async function () {
+        if (skipAll) { pending('java not found, skipping'); return; }
+
+        var f = path.join(__dirname, 'modern', 'imports.css');
+        var partial = path.join(__dirname, 'modern', 'partials', 'broken.css');
+        var summary = await validateCss(f, { modernSyntax: true, json: true, cache: false });
+
+        expect(findResult(summary, f).ok).toBe(true);
+        expect(findResult(summary, f).notes.length).toBe(1);
+        expect(findResult(summary, partial).errors[0].line).toBe(2);
+        expect(findResult(summary, partial).importedBy).toEqual([f]);
+        expect(summary.failed).toBe(1);
+    });
+
+    describe('http targets', function () {
+        var http = require('http');
+        var server, origin;
+
+        beforeAll(function (done) {
+            var root = path.join(__dirname, 'http');
+
+            server = http.createServer(function (req, res) {
+                var file = path.join(root, decodeURIComponent(req.url.split('?')[0]).replace(/\/$/, '/index.html'));
+
+                fs.readFile(file, function (err, body) {
+                    if (err) { res.writeHead(404); res.end('not found'); return; }
+                    res.writeHead(200, { 'Content-Type': /\.html$/.test(file) ? 'text/html' : 'text/css' });
+                    res.end(body);
+                });
+            });
+
+            server.listen(0, '127.0.0.1', function () {
+                origin = 'http://127.0.0.1:' + server.address().port;
+                done();
+            });
+        });
+
+        afterAll(function (done) {
+            server.close(done);
+        });
+
+        it('should validate a stylesheet url and report results by url', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var summary = await validateCss(origin + '/css/app.css', { json: true, cache: false });
+
+            expect(summary.results.map(function (r) { return r.file; })).toEqual([origin + '/css/app.css', origin + '/css/partials/base.css']);
+            expect(summary.results[0].ok).toBe(true);
+            expect(summary.results[1].errors[0].line).toBe(2);
+            expect(summary.results[1].importedBy).toEqual([origin + '/css/app.css']);
+        });
+
+        it('should follow root-relative imports of a stylesheet url', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var summary = await validateCss(origin + '/css/root.css', { json: true, cache: false });
+
+            expect(summary.results.map(function (r) { return r.file; })).toEqual([origin + '/css/root.css', origin + '/css/partials/base.css']);
+            expect(summary.results[1].errors[0].line).toBe(2);
+            expect(summary.failed).toBe(1);
+        });
+
+        it('should not cache results for fetched copies of urls', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var cacheLocation = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-cache-')), 'results');
+
+            await validateCss(origin + '/css/app.css', { json: true, cacheLocation: cacheLocation });
+            var summary = await validateCss(origin + '/css/app.css', { json: true, cacheLocation: cacheLocation });
+
+            expect(summary.cached).toBeFalsy();
+            expect(fs.existsSync(cacheLocation) ? fs.readdirSync(cacheLocation) : []).toEqual([]);
+        });
+
+        it('should crawl a page for same-origin linked and imported stylesheets', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var summary = await validateCss(origin + '/', { crawl: true, json: true, cache: false });
+
+            expect(summary.results.map(function (r) { return r.file; })).toEqual([
+                origin + '/css/app.css',
+                origin + '/css/partials/base.css',
+                origin + '/css/print.css'
+            ]);
+            expect(summary.failed).toBe(1);
+            expect(summary.results[1].importedBy).toBeUndefined();
+        });
+
+        it('should key baseline entries for urls by the url', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var baselineFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-baseline-')), 'baseline.json');
+            var app = origin + '/css/app.css';
+            var base = origin + '/css/partials/base.css';
+
+            await validateCss(app, { json: true, cache: false, writeBaseline: baselineFile });
+
+            var written = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+            expect(Object.keys(written.files)).toEqual([base]);
+
+            // fingerprints take in the source line, so the served copy must match the file on disk
+            var localFile = path.join(path.dirname(baselineFile), 'local.json');
+            await validateCss(path.join(__dirname, 'http', 'css', 'partials', 'base.css'), { json: true, cache: false, writeBaseline: localFile });
+            var local = JSON.parse(fs.readFileSync(localFile, 'utf8'));
+            expect(written.files[base][0].fingerprint).toBe(local.files[Object.keys(local.files)[0]][0].fingerprint);
+
+            written.files[app] = [{ severity: 'error', msg: 'Gone', fingerprint: '0000000000000000', count: 1 }];
+            fs.writeFileSync(baselineFile, JSON.stringify(written));
+
+            var summary = await validateCss(app, { json: true, cache: false, baseline: baselineFile });
+
+            expect(summary.failed).toBe(0);
+            expect(summary.fixed).toEqual([jasmine.objectContaining({ file: app, msg: 'Gone' })]);
+        });
+
+        it('should refuse a page without crawl and remove its temp folder', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-spec-tmp-'));
+            var before = process.env.TMPDIR;
+            process.env.TMPDIR = tmp;
+
+            try {
+                await expectAsync(validateCss(origin + '/', { json: true, cache: false }))
+                    .toBeRejectedWith(jasmine.objectContaining({ code: 'EUSAGE' }));
+                expect(fs.readdirSync(tmp)).toEqual([]);
+            } finally {
+                if (before === undefined) { delete process.env.TMPDIR; } else { process.env.TMPDIR = before; }
+                fs.rmSync(tmp, { recursive: true, force: true });
+            }
+        });
+
+        it('should report a url that cannot be fetched as errored', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var summary = await validateCss(origin + '/css/missing.css', { json: true, cache: false });
+
+            expect(summary.errored).toBe(1);
+            expect(summary.results[0].file).toBe(origin + '/css/missing.css');
+            expect(summary.results[0].error.code).toBe('ETARGETFETCH');
+        });
+    });
+
+    describe('file discovery', function () {
+        var root;
+
+        function write(rel, text) {
+            var abs = path.join(root, rel);
+            fs.mkdirSync(path.dirname(abs), { recursive: true });
+            fs.writeFileSync(abs, text || '.a { color: red; }\n');
+            return abs;
+        }
+
+        function files(summary) {
+            return summary.results.map(function (r) { return path.relative(root, r.file).split(path.sep).join('/'); }).sort();
+        }
+
+        beforeEach(function () {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'w3c-validate-css-discovery-'));
+            write('src/app.css');
+            write('src/app.min.css');
+            write('src/generated/tokens.css');
+            write('src/node_modules/lib/lib.css');
+            write('themes/dark.css');
+            write('src/.gitignore', 'generated/\n');
+            write('.w3cvalidatecssignore', '# minified copies\n*.min.css\n');
+        });
+
+        afterEach(function () {
+            fs.rmSync(root, { recursive: true, force: true });
+        });
+
+        it('should accept several targets and globs without repeating files', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var summary = await validateCss([path.join(root, 'src'), path.join(root, 'themes', '*.css'), path.join(root, 'src', 'app.css')], { json: true, cache: false });
+
+            expect(files(summary)).toEqual(['src/app.css', 'src/app.min.css', 'src/generated/tokens.css', 'themes/dark.css']);
+        });
+
+        it('should skip node_modules, --ignore patterns and the ignore file', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var summary = await validateCss(root, { json: true, cache: false, ignore: ['**/themes/**'], ignorePath: path.join(root, '.w3cvalidatecssignore') });
+
+            expect(files(summary)).toEqual(['src/app.css', 'src/generated/tokens.css']);
+        });
+
+        it('should only respect .gitignore when asked', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var summary = await validateCss(path.join(root, 'src'), { json: true, cache: false, gitignore: true });
+
+            expect(files(summary)).toEqual(['src/app.css', 'src/app.min.css']);
+        });
+
+        it('should keep files named directly even when ignored', async function () {
+            if (skipAll) { pending('java not found, skipping'); return; }
+
+            var f = path.join(root, 'src', 'app.min.css');
+            var summary = await validateCss(f, { json: true, cache: false, ignorePath: path.join(root, '.w3cvalidatecssignore') });
+
+            expect(files(summary)).toEqual(['src/app.min.css']);
+        });
+    });
+});